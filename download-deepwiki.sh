@@ -120,5 +120,5 @@ done
 
 success "Downloaded ${COUNT} HTML files to ${OUTPUT_DIR}"
 echo ""
-log "Next step: Run the Python converter to extract markdown content"
-echo "  python3 convert-deepwiki.py ${OUTPUT_DIR}"
+log "Next step: Convert the saved HTML to markdown (offline, no browser needed)"
+echo "  node download-with-puppeteer.js convert ${OUTPUT_DIR} --repo ${REPO}"
@@ -0,0 +1,199 @@
+/**
+ * Asset Localization
+ *
+ * Downloads the images a page references into `assets/`, named by a hash of
+ * their content so the same image used on several pages (or under several
+ * URLs) is stored once, and rewrites the markdown to the local copies.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { hashContent } = require('./manifest');
+const { withRetry } = require('./pool');
+const { mapOutsideFences } = require('./links');
+const { ASSETS_DIR } = require('./diagrams');
+
+// Content-hash file names, e.g. assets/3f2a9c0d1b7e4a65.png
+const ASSET_NAME_PATTERN = /^[0-9a-f]{16}\.[a-z0-9]+$/;
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico'
+};
+
+/**
+ * File extension for a downloaded image
+ * @param {string} contentType
+ * @param {string} url
+ * @returns {string}
+ */
+function extensionFor(contentType, url) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (EXTENSIONS[type]) return EXTENSIONS[type];
+    const m = new URL(url).pathname.match(/\.([a-z0-9]{2,5})$/i);
+    return m ? m[1].toLowerCase() : 'bin';
+}
+
+/**
+ * Fetch one image
+ * @returns {Promise<{data: Buffer, contentType: string}>}
+ */
+async function fetchAsset(url, { timeout }) {
+    const response = await fetch(url, {
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; deepwiki-downloader)' },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout || 30000)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (/^text\/html/i.test(contentType)) {
+        throw new Error(`Not an image (${contentType.split(';')[0]})`);
+    }
+    return { data: Buffer.from(await response.arrayBuffer()), contentType };
+}
+
+/**
+ * Remote image URLs referenced by markdown images and <img> tags, outside code
+ * @param {string} markdown
+ * @returns {string[]} Raw URLs as written in the markdown
+ */
+function findImageUrls(markdown) {
+    const urls = [];
+    mapOutsideFences(markdown, text => {
+        const pattern = /!\[[^\]]*\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)|<img\b[^>]*?\ssrc=["']([^"']+)["']/gi;
+        let m;
+        while ((m = pattern.exec(text)) !== null) urls.push(m[1] || m[2]);
+        return text;
+    });
+    return urls.filter(url => /^(https?:)?\/\//i.test(url) || url.startsWith('/'));
+}
+
+/**
+ * Create the asset store of one run
+ *
+ * Each URL is fetched at most once per run, however many pages use it.
+ *
+ * @param {object} options
+ * @param {string} options.outDir
+ * @param {number} [options.timeout]
+ * @param {number} [options.retries]
+ */
+function createAssetStore(options) {
+    const { outDir } = options;
+    const byUrl = new Map();    // absolute URL -> Promise<{file} | {error}>
+    const failures = new Map(); // absolute URL -> {url, error, pages}
+
+    const download = url => {
+        if (!byUrl.has(url)) {
+            byUrl.set(url, (async () => {
+                try {
+                    const { data, contentType } = await withRetry(() => fetchAsset(url, options), { retries: options.retries });
+                    const file = `${ASSETS_DIR}/${hashContent(data).slice(0, 16)}.${extensionFor(contentType, url)}`;
+                    await fs.mkdir(path.join(outDir, ASSETS_DIR), { recursive: true });
+                    // Same content under another URL is already on disk
+                    await fs.writeFile(path.join(outDir, file), data, { flag: 'wx' }).catch(error => {
+                        if (error.code !== 'EEXIST') throw error;
+                    });
+                    return { file };
+                } catch (error) {
+                    return { error: error.message };
+                }
+            })());
+        }
+        return byUrl.get(url);
+    };
+
+    return {
+        /**
+         * Download a page's images and point the markdown at the local copies
+         *
+         * Images that can't be fetched keep their remote URL and are recorded
+         * as failures.
+         *
+         * @param {string} markdown
+         * @param {string} pageUrl - Base for root-relative image paths
+         * @param {string} pageId
+         * @returns {Promise<{markdown: string, files: string[], failures: {url: string, error: string}[]}>}
+         */
+        async localize(markdown, pageUrl, pageId) {
+            const local = new Map();
+            const pageFailures = [];
+            for (const raw of new Set(findImageUrls(markdown))) {
+                let url;
+                try {
+                    url = new URL(raw, pageUrl).href;
+                } catch {
+                    // Not a URL (e.g. `http://[broken`); the reference stays as it is
+                    continue;
+                }
+                const result = await download(url);
+                if (result.file) {
+                    local.set(raw, `./${result.file}`);
+                    continue;
+                }
+                pageFailures.push({ url, error: result.error });
+                const failure = failures.get(url) || { url, error: result.error, pages: [] };
+                if (!failure.pages.includes(pageId)) failure.pages.push(pageId);
+                failures.set(url, failure);
+            }
+
+            const rewrite = (match, prefix, url, suffix) => (local.has(url) ? `${prefix}${local.get(url)}${suffix}` : match);
+            const rewritten = mapOutsideFences(markdown, text => text
+                .replace(/(!\[[^\]]*\]\(\s*<?)([^\s)>]+)(>?(?:\s+"[^"]*")?\s*\))/g, rewrite)
+                .replace(/(<img\b[^>]*?\ssrc=["'])([^"']+)(["'])/gi, rewrite));
+
+            return { markdown: rewritten, files: [...new Set(local.values())].map(file => file.slice(2)), failures: pageFailures };
+        },
+
+        /**
+         * Images that could not be fetched during the run, with the pages using them
+         * @returns {{url: string, error: string, pages: string[]}[]}
+         */
+        failures() {
+            return [...failures.values()];
+        }
+    };
+}
+
+/**
+ * Delete localized images no page refers to anymore
+ *
+ * Only content-hash files are touched; diagram images are managed per page.
+ *
+ * @param {string} outDir
+ * @param {Iterable<string>} keep - Asset paths still in use (`assets/<name>`)
+ * @returns {Promise<string[]>} Removed paths
+ */
+async function pruneAssets(outDir, keep) {
+    const used = new Set(keep);
+    let names;
+    try {
+        names = await fs.readdir(path.join(outDir, ASSETS_DIR));
+    } catch {
+        return [];
+    }
+    const removed = [];
+    for (const name of names) {
+        const file = `${ASSETS_DIR}/${name}`;
+        if (ASSET_NAME_PATTERN.test(name) && !used.has(file)) {
+            await fs.rm(path.join(outDir, file), { force: true });
+            removed.push(file);
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    findImageUrls,
+    createAssetStore,
+    pruneAssets
+};
@@ -0,0 +1,164 @@
+/**
+ * Batch Mirroring
+ *
+ * Mirrors the wikis of many repositories in one run: one after another, each
+ * into its own directory with its own filters and options, all sharing one
+ * browser. A top-level index.md links every mirror with the outcome of its
+ * last run.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { downloadWiki, lazyBrowser } = require('./downloader');
+
+const BATCH_INDEX_FILE = 'index.md';
+
+// Options that configure the shared browser, so they can't differ per repository
+const BROWSER_OPTIONS = ['browser', 'getBrowser', 'headful', 'viewport', 'launchArgs'];
+
+/**
+ * Turn `"owner/repo"` entries into `{ repo }` objects
+ * @param {(string|object)[]} repos
+ * @returns {object[]}
+ */
+function normalizeEntries(repos) {
+    return repos.map(entry => (typeof entry === 'string' ? { repo: entry } : { ...entry }));
+}
+
+/**
+ * Default directory of a mirror inside the batch output directory
+ * @param {string} repo - owner/repo
+ * @returns {string}
+ */
+function mirrorDirName(repo) {
+    return repo.replace('/', '-');
+}
+
+/**
+ * Escape a value for a markdown table cell
+ */
+function cell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Create the top-level index.md linking every mirror
+ * @param {string} rootDir - Batch output directory
+ * @param {object[]} results - Per-repository results of downloadWikis
+ * @param {Set<string>} indexed - Repositories whose mirror has an index.md
+ * @returns {string}
+ */
+function createBatchIndex(rootDir, results, indexed) {
+    const date = new Date().toISOString().slice(0, 10);
+    let md = `# DeepWiki Mirrors
+
+> ${results.length} wikis mirrored from [DeepWiki](https://deepwiki.com), last run ${date}.
+
+| Wiki | Pages | Last run |
+|------|------:|----------|
+`;
+    for (const result of results) {
+        const href = path.relative(rootDir, path.join(result.outDir, 'index.md')).split(path.sep).join('/');
+        const name = indexed.has(result.repo) ? `[${result.repo}](${href.startsWith('.') ? href : `./${href}`})` : result.repo;
+        let status = '✅ ok';
+        if (result.error) {
+            status = `❌ ${result.error}${indexed.has(result.repo) ? ' (showing an earlier copy)' : ''}`;
+        } else if (result.failures.length > 0) {
+            status = `⚠️ ${result.failures.length} of ${result.pages} pages failed`;
+        }
+        md += `| ${name} | ${result.error ? '-' : result.pages} | ${cell(status)} |\n`;
+    }
+    return md;
+}
+
+/**
+ * Mirror the wikis of many repositories
+ *
+ * Each repository is downloaded with downloadWiki into `<outDir>/<owner>-<repo>`
+ * unless its entry names another directory (relative to `outDir`); no two
+ * entries may share one. Entry options override the shared ones. A repository
+ * that fails doesn't stop the batch; its error is part of the result.
+ *
+ * Mirrors link to each other through findMirrors, so links to a wiki mirrored
+ * later in the same batch become local on the next run.
+ *
+ * @param {object} options - Options shared by all repositories (see downloadWiki), plus:
+ * @param {(string|object)[]} options.repos - `"owner/repo"` or `{ repo, outDir, pages, exclude, ...options }`
+ * @param {string} [options.outDir='.'] - Directory of the mirrors and the top-level index.md
+ * @param {(event: object) => void} [options.onProgress] - downloadWiki events of every repository, plus `failed` for a repository that failed
+ * @param {(result: object) => void} [options.onPage]
+ * @returns {Promise<{outDir: string, repos: object[], counts: object, failed: number, files: string[]}>}
+ *   Per-repository results, page counts summed over all of them, and the number of repositories with errors or failed pages
+ */
+async function downloadWikis(options) {
+    const { repos, onProgress, onPage, ...shared } = options;
+    const entries = normalizeEntries(repos || []);
+    if (entries.length === 0) throw new Error('downloadWikis: options.repos is empty');
+
+    const rootDir = path.resolve(options.outDir || '.');
+    const emit = event => onProgress && onProgress(event);
+    const repoByDir = new Map();
+    for (const entry of entries) {
+        if (!entry.repo) throw new Error('downloadWikis: every entry needs a repo');
+        const browserOptions = Object.keys(entry).filter(key => BROWSER_OPTIONS.includes(key));
+        if (browserOptions.length > 0) {
+            throw new Error(`${entry.repo}: ${browserOptions.join(', ')} can only be set for the whole batch`);
+        }
+        entry.outDir = path.resolve(rootDir, entry.outDir || mirrorDirName(entry.repo));
+        if (entry.outDir === rootDir) throw new Error(`${entry.repo}: the mirror can't be the batch directory itself`);
+        // a-b/c and a/b-c share a default directory name
+        if (repoByDir.has(entry.outDir)) {
+            throw new Error(`${entry.repo}: ${entry.outDir} is already the mirror of ${repoByDir.get(entry.outDir)}; give one of them another directory`);
+        }
+        repoByDir.set(entry.outDir, entry.repo);
+    }
+
+    await fs.mkdir(rootDir, { recursive: true });
+
+    // One browser for the whole batch, launched only once some repository needs it
+    const browser = lazyBrowser(shared, () => emit({ type: 'launch' }));
+    const results = [];
+    try {
+        for (const entry of entries) {
+            try {
+                const summary = await downloadWiki({ ...shared, ...entry, getBrowser: browser.get, onProgress, onPage });
+                results.push({ repo: entry.repo, outDir: summary.outDir, pages: summary.pages, counts: summary.counts, failures: summary.failures });
+            } catch (error) {
+                results.push({ repo: entry.repo, outDir: entry.outDir, pages: 0, counts: null, failures: [], error: error.message });
+                emit({ type: 'failed', repo: entry.repo, error: error.message });
+            }
+        }
+    } finally {
+        await browser.close();
+    }
+
+    const indexed = new Set();
+    for (const result of results) {
+        try {
+            await fs.access(path.join(result.outDir, 'index.md'));
+            indexed.add(result.repo);
+        } catch {
+            // Never mirrored successfully
+        }
+    }
+    await fs.writeFile(path.join(rootDir, BATCH_INDEX_FILE), createBatchIndex(rootDir, results, indexed), 'utf-8');
+    emit({ type: 'written', file: BATCH_INDEX_FILE, kind: 'batch' });
+
+    const counts = { added: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 };
+    for (const result of results) {
+        for (const key of Object.keys(counts)) counts[key] += result.counts ? result.counts[key] : 0;
+    }
+    return {
+        outDir: rootDir,
+        repos: results,
+        counts,
+        failed: results.filter(result => result.error || result.failures.length > 0).length,
+        files: [BATCH_INDEX_FILE]
+    };
+}
+
+module.exports = {
+    BATCH_INDEX_FILE,
+    createBatchIndex,
+    downloadWikis
+};
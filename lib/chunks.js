@@ -0,0 +1,200 @@
+/**
+ * Chunked Export
+ *
+ * Splits page files into heading-aware chunks for retrieval and embedding
+ * pipelines. A chunk never crosses a heading and never splits a fenced code or
+ * mermaid block; long sections are split between paragraphs, then lines,
+ * then sentences.
+ *
+ * Chunk ids are built from the page id, the section's heading anchor and the
+ * chunk's number within that section, so re-downloading a wiki keeps the ids of
+ * sections that didn't move, and the `hash` tells which texts changed.
+ */
+
+const { hashContent } = require('./manifest');
+const { createSlugger, inlineText } = require('./markdown-to-html');
+
+const DEFAULT_CHUNK_SIZE = 2000;
+
+// Fences at any indentation, so code inside list items is never split either
+const FENCE_OPEN_PATTERN = /^([ \t]*)(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SOURCE_LINE_PATTERN = /\n+---\n\*Source: \[DeepWiki\]\([^)]*\)\*\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Split markdown into headings, fenced blocks and blank-line separated blocks
+ * @param {string} markdown
+ * @returns {{type: 'heading'|'fence'|'text', text: string, level?: number, title?: string}[]}
+ */
+function splitBlocks(markdown) {
+    const lines = markdown.split('\n');
+    const blocks = [];
+    let text = [];
+    const flush = () => {
+        if (text.length > 0) blocks.push({ type: 'text', text: text.join('\n') });
+        text = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const fence = line.match(FENCE_OPEN_PATTERN);
+        if (fence) {
+            flush();
+            const marker = fence[2];
+            const body = [line];
+            while (++i < lines.length) {
+                body.push(lines[i]);
+                const close = lines[i].match(/^[ \t]*(`{3,}|~{3,})\s*$/);
+                if (close && close[1][0] === marker[0] && close[1].length >= marker.length) break;
+            }
+            blocks.push({ type: 'fence', text: body.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            flush();
+            blocks.push({ type: 'heading', text: line, level: heading[1].length, title: heading[2] || '' });
+            continue;
+        }
+
+        if (line.trim() === '') {
+            flush();
+        } else {
+            text.push(line);
+        }
+    }
+    flush();
+    return blocks;
+}
+
+/**
+ * Group units up to the chunk size, each joined to the one before by its separator
+ * @param {{text: string, separator: string}[]} units
+ * @param {number} chunkSize
+ * @returns {string[]}
+ */
+function groupUnits(units, chunkSize) {
+    const pieces = [];
+    let current = '';
+    for (const { text, separator } of units) {
+        if (current && current.length + separator.length + text.length > chunkSize) {
+            pieces.push(current);
+            current = text;
+        } else {
+            current = current ? `${current}${separator}${text}` : text;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * Pieces of an oversized text block
+ *
+ * Split between lines, so lists and tables keep their line structure, and
+ * between sentences within lines that are too long by themselves. Every piece
+ * of a table repeats its header and separator rows.
+ */
+function splitText(text, chunkSize) {
+    const lines = text.trim().split('\n');
+    if (lines.length > 2 && lines.every(line => /^\s*\|/.test(line)) && TABLE_SEPARATOR_PATTERN.test(lines[1])) {
+        const header = lines.slice(0, 2).join('\n');
+        const rows = groupUnits(lines.slice(2).map(line => ({ text: line, separator: '\n' })), Math.max(1, chunkSize - header.length - 1));
+        return rows.map(body => `${header}\n${body}`);
+    }
+
+    const units = [];
+    for (const line of lines) {
+        const sentences = line.length > chunkSize ? line.split(/(?<=[.!?:])\s+(?=\S)/) : [line];
+        sentences.forEach((sentence, i) => units.push({ text: sentence, separator: i === 0 ? '\n' : ' ' }));
+    }
+    return groupUnits(units, chunkSize);
+}
+
+/**
+ * Split one page's markdown into chunks
+ * @param {string} markdown - Page markdown without front matter
+ * @param {object} [options]
+ * @param {number} [options.chunkSize=2000] - Target maximum characters per chunk; a single fenced block may exceed it
+ * @returns {{headings: string[], anchor: string, section: number, text: string}[]}
+ *   `headings` is the heading path, `section` the chunk's number within its section
+ */
+function chunkMarkdown(markdown, options = {}) {
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const slug = createSlugger();
+    const chunks = [];
+    const headingPath = []; // headingPath[level - 1] = heading title
+    let anchor = '';
+    let parts = [];         // blocks of the chunk being built
+    let size = 0;
+    let section = 0;
+
+    const emit = () => {
+        const body = parts.filter(part => !part.heading);
+        if (body.length > 0) {
+            chunks.push({ headings: headingPath.filter(Boolean), anchor, section: section++, text: parts.map(part => part.text).join('\n\n') });
+        }
+        parts = [];
+        size = 0;
+    };
+    const add = (text, heading = false) => {
+        if (size > 0 && size + 2 + text.length > chunkSize && parts.some(part => !part.heading)) emit();
+        parts.push({ text, heading });
+        size += (size > 0 ? 2 : 0) + text.length;
+    };
+
+    for (const block of splitBlocks(markdown.replace(SOURCE_LINE_PATTERN, '\n'))) {
+        if (block.type === 'heading') {
+            emit();
+            headingPath.length = block.level - 1;
+            headingPath[block.level - 1] = block.title;
+            anchor = slug(inlineText(block.title));
+            section = 0;
+            add(block.text, true);
+        } else if (block.type === 'text' && block.text.length > chunkSize) {
+            for (const piece of splitText(block.text, chunkSize)) add(piece);
+        } else {
+            add(block.text);
+        }
+    }
+    emit();
+    return chunks;
+}
+
+/**
+ * Chunk records of a wiki, one per line of the JSONL export
+ * @param {string} repo - owner/repo
+ * @param {{page: object, markdown: string}[]} documents - Page files in page order
+ * @param {object} [options]
+ * @param {number} [options.chunkSize=2000]
+ * @returns {object[]}
+ */
+function buildChunks(repo, documents, options = {}) {
+    const records = [];
+    for (const { page, markdown } of documents) {
+        const chunks = chunkMarkdown(markdown, options);
+        chunks.forEach((chunk, i) => {
+            records.push({
+                id: `${repo}/${page.id}#${chunk.anchor || 'top'}:${chunk.section}`,
+                repo,
+                page: page.id,
+                title: page.title,
+                headings: chunk.headings,
+                url: `https://deepwiki.com/${repo}/${page.id}`,
+                chunk: i,
+                chunks: chunks.length,
+                hash: hashContent(chunk.text).slice(0, 16),
+                text: chunk.text
+            });
+        });
+    }
+    return records;
+}
+
+module.exports = {
+    DEFAULT_CHUNK_SIZE,
+    chunkMarkdown,
+    buildChunks
+};
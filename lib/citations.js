@@ -0,0 +1,194 @@
+/**
+ * Source Citation Index
+ *
+ * Collects the source files each page cites, from its "Relevant source files"
+ * list and its `Sources:` references, into `citations.json`, and writes the
+ * reverse view, the pages that cite each file, as `by-source.md`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { mapOutsideFences, parseCitationLabel } = require('./links');
+const { loadDocuments } = require('./output');
+
+const CITATIONS_FILE = 'citations.json';
+const BY_SOURCE_FILE = 'by-source.md';
+
+const RELEVANT_FILES_PATTERN = /<summary>\s*Relevant source files\s*<\/summary>([\s\S]*?)<\/details>/i;
+const LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*([^)\s]*)[^)\n]*\)/g;
+const SOURCES_LINE_PATTERN = /^[ \t>*-]*(?:\*\*|__)?Sources?:(?:\*\*|__)?(.*)$/gim;
+
+/**
+ * Citations in a piece of page markdown
+ * @returns {{file: string, start: number|null, end: number|null}[]}
+ */
+function citationsIn(markdown) {
+    const found = [];
+    mapOutsideFences(markdown, text => {
+        // Links labelled with a path, pointing nowhere, at the path itself, or at the file on GitHub or in a checkout
+        let m;
+        LINK_PATTERN.lastIndex = 0;
+        while ((m = LINK_PATTERN.exec(text)) !== null) {
+            const [, bang, label, href] = m;
+            const cited = !bang && parseCitationLabel(label);
+            if (!cited) continue;
+            const [target, fragment = ''] = href.split('#');
+            let decoded = target;
+            try {
+                decoded = decodeURIComponent(target);
+            } catch {
+                // Keep malformed escapes as they are
+            }
+            if (target && !decoded.endsWith(cited.file)) continue;
+            const lines = fragment.match(/^L(\d+)(?:-L(\d+))?$/);
+            if (cited.start === null && lines) {
+                cited.start = Number(lines[1]);
+                cited.end = Number(lines[2] || lines[1]);
+            }
+            found.push(cited);
+        }
+
+        // Plain-text references on Sources: lines
+        SOURCES_LINE_PATTERN.lastIndex = 0;
+        while ((m = SOURCES_LINE_PATTERN.exec(text)) !== null) {
+            for (const token of m[1].replace(LINK_PATTERN, '').split(/[,;\s]+/)) {
+                // Bare words like "e.g." look like file names; require a directory or line range
+                const cited = parseCitationLabel(token.replace(/[.)]+$/, ''));
+                if (cited && (cited.file.includes('/') || cited.start !== null)) found.push(cited);
+            }
+        }
+        return text;
+    });
+    return found;
+}
+
+/**
+ * Source files cited by a page, with their line ranges
+ *
+ * Files from the "Relevant source files" list are marked `relevant`; line
+ * ranges come from both the list and the `Sources:` references.
+ *
+ * @param {string} markdown - Page markdown
+ * @returns {{file: string, relevant: boolean, lines: {start: number, end: number}[]}[]} Sorted by path
+ */
+function findCitations(markdown) {
+    const block = markdown.match(RELEVANT_FILES_PATTERN);
+    const relevant = block ? citationsIn(block[1]) : [];
+    const inline = citationsIn(block ? markdown.replace(block[0], '') : markdown);
+
+    const byFile = new Map();
+    const entryFor = file => {
+        if (!byFile.has(file)) byFile.set(file, { file, relevant: false, lines: [] });
+        return byFile.get(file);
+    };
+    for (const citation of relevant) entryFor(citation.file).relevant = true;
+    for (const citation of [...relevant, ...inline]) {
+        const entry = entryFor(citation.file);
+        if (citation.start !== null && !entry.lines.some(range => range.start === citation.start && range.end === citation.end)) {
+            entry.lines.push({ start: citation.start, end: citation.end });
+        }
+    }
+
+    const entries = [...byFile.values()].sort((a, b) => a.file.localeCompare(b.file));
+    for (const entry of entries) entry.lines.sort((a, b) => a.start - b.start || a.end - b.end);
+    return entries;
+}
+
+/**
+ * Build the citation index of a wiki
+ * @param {string} repo - owner/repo
+ * @param {{page: object, markdown: string}[]} documents - Page files in page order
+ * @returns {{repo: string, pages: object[], files: {file: string, pages: {id: string, relevant: boolean, lines: object[]}[]}[]}}
+ */
+function buildCitationIndex(repo, documents) {
+    const pages = documents.map(({ page, markdown }) => ({ id: page.id, title: page.title, files: findCitations(markdown) }));
+
+    const byFile = new Map();
+    for (const page of pages) {
+        for (const { file, relevant, lines } of page.files) {
+            if (!byFile.has(file)) byFile.set(file, { file, pages: [] });
+            byFile.get(file).pages.push({ id: page.id, relevant, lines });
+        }
+    }
+    const files = [...byFile.values()].sort((a, b) => a.file.localeCompare(b.file));
+
+    return { repo, pages, files };
+}
+
+/**
+ * Line ranges for display, e.g. "10-20, 45"
+ */
+function formatLines(lines) {
+    return lines.map(({ start, end }) => (end === start ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * Create by-source.md: for each cited file, the pages that explain it
+ * @param {ReturnType<typeof buildCitationIndex>} index
+ * @returns {string}
+ */
+function createBySource(index) {
+    const titles = new Map(index.pages.map(page => [page.id, page.title.replace(/\|/g, '\\|')]));
+    const pageLink = id => `[${titles.get(id)}](./${id}.md)`;
+    const uncited = index.pages.filter(page => page.files.length === 0);
+
+    let md = `# ${index.repo} Source Files
+
+> Wiki pages citing each source file, from the pages' "Relevant source files"
+> lists and \`Sources:\` references.
+
+${index.files.length} files cited by ${index.pages.length - uncited.length} of ${index.pages.length} pages.
+`;
+
+    // Directory overview, to spot areas of the code the wiki doesn't cover
+    const directories = new Map();
+    for (const { file, pages } of index.files) {
+        const dir = path.posix.dirname(file);
+        if (!directories.has(dir)) directories.set(dir, { files: 0, pages: new Set() });
+        const entry = directories.get(dir);
+        entry.files++;
+        for (const page of pages) entry.pages.add(page.id);
+    }
+    if (directories.size > 0) {
+        md += `\n## Directories\n\n| Directory | Files | Pages |\n|-----------|------:|------:|\n`;
+        for (const [dir, entry] of [...directories].sort((a, b) => a[0].localeCompare(b[0]))) {
+            md += `| \`${dir === '.' ? '/' : `${dir}/`}\` | ${entry.files} | ${entry.pages.size} |\n`;
+        }
+
+        md += `\n## Files\n\n| File | Pages |\n|------|-------|\n`;
+        for (const { file, pages } of index.files) {
+            const cells = pages.map(page => `${pageLink(page.id)}${page.lines.length > 0 ? ` (${formatLines(page.lines)})` : ''}`);
+            md += `| \`${file}\` | ${cells.join(', ')} |\n`;
+        }
+    }
+
+    if (uncited.length > 0) {
+        md += `\n## Pages Without Citations\n\n`;
+        for (const page of uncited) md += `- ${pageLink(page.id)}\n`;
+    }
+
+    return md;
+}
+
+/**
+ * Write citations.json and by-source.md for the pages that have a file
+ * @param {string} outDir
+ * @param {string} repo - owner/repo
+ * @param {object[]} pages - Page hierarchy, in order
+ * @returns {Promise<{files: number, pages: number}>} Cited files and citing pages
+ */
+async function writeCitationIndex(outDir, repo, pages) {
+    const index = buildCitationIndex(repo, await loadDocuments(outDir, pages));
+    await fs.writeFile(path.join(outDir, CITATIONS_FILE), JSON.stringify(index, null, 2), 'utf-8');
+    await fs.writeFile(path.join(outDir, BY_SOURCE_FILE), createBySource(index), 'utf-8');
+    return { files: index.files.length, pages: index.pages.filter(page => page.files.length > 0).length };
+}
+
+module.exports = {
+    CITATIONS_FILE,
+    BY_SOURCE_FILE,
+    findCitations,
+    buildCitationIndex,
+    createBySource,
+    writeCitationIndex
+};
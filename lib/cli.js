@@ -0,0 +1,532 @@
+/**
+ * Command Line Options
+ *
+ * Parses `deepwiki-download` flags and merges them over a config file
+ * (`deepwiki.config.json`) and the built-in defaults.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OPTIONS } = require('./downloader');
+const { DEFAULT_MCP_ENDPOINT } = require('./mcp');
+const { EXPORT_FORMATS } = require('./export');
+const { DIAGRAM_FORMATS, DIAGRAM_PLACEMENTS } = require('./diagrams');
+const { SITE_GENERATORS } = require('./site-config');
+
+const CONFIG_FILE = 'deepwiki.config.json';
+
+const DEFAULTS = {
+    ...DEFAULT_OPTIONS,
+    quiet: false,
+    json: false,
+    unified: false,
+    changelog: null,
+    repos: []
+};
+
+// Config file options holding paths, which are relative to the config file
+const CONFIG_PATHS = ['outDir', 'siteDir', 'citationCheckout', 'changelog'];
+
+const MODES = ['auto', 'payload', 'render'];
+const SOURCES = ['scrape', 'mcp'];
+
+// Subcommands; anything else in first position is the repository to download
+const COMMANDS = ['convert', 'diff', 'verify', 'batch'];
+
+// Flag name -> option key and how to read its value
+const FLAGS = {
+    'help': { key: 'help', type: 'boolean', short: 'h' },
+    'config': { key: 'config', type: 'string', short: 'c' },
+    'out': { key: 'outDir', type: 'string', short: 'o' },
+    'repo': { key: 'repo', type: 'string', short: 'r' },
+    'mode': { key: 'mode', type: 'string' },
+    'render': { key: 'mode', type: 'boolean', value: 'render' },
+    'no-browser': { key: 'mode', type: 'boolean', value: 'payload' },
+    'source': { key: 'source', type: 'string' },
+    'mcp': { key: 'source', type: 'boolean', value: 'mcp' },
+    'mcp-endpoint': { key: 'mcpEndpoint', type: 'string' },
+    'pages': { key: 'pages', type: 'list', short: 'p' },
+    'exclude': { key: 'exclude', type: 'list', short: 'x' },
+    'force': { key: 'force', type: 'boolean', short: 'f' },
+    'concurrency': { key: 'concurrency', type: 'number' },
+    'retries': { key: 'retries', type: 'number' },
+    'timeout': { key: 'timeout', type: 'number' },
+    'selector-timeout': { key: 'selectorTimeout', type: 'number' },
+    'settle-delay': { key: 'settleDelay', type: 'number' },
+    'delay': { key: 'delay', type: 'number' },
+    'viewport': { key: 'viewport', type: 'viewport' },
+    'headful': { key: 'headful', type: 'boolean' },
+    'browser-arg': { key: 'browserArgs', type: 'list', split: false },
+    'diagram-images': { key: 'diagramImages', type: 'list' },
+    'replace-diagrams': { key: 'diagramPlacement', type: 'boolean', value: 'replace' },
+    'localize-assets': { key: 'localizeAssets', type: 'boolean' },
+    'citation-commit': { key: 'citationCommit', type: 'string' },
+    'citation-checkout': { key: 'citationCheckout', type: 'string' },
+    'front-matter': { key: 'frontMatter', type: 'boolean' },
+    'site': { key: 'siteGenerators', type: 'list' },
+    'site-dir': { key: 'siteDir', type: 'string' },
+    'export': { key: 'exports', type: 'list', short: 'e' },
+    'chunk-size': { key: 'chunkSize', type: 'number' },
+    'unified': { key: 'unified', type: 'boolean', short: 'u' },
+    'changelog': { key: 'changelog', type: 'string' },
+    'no-changelog': { key: 'changelog', type: 'boolean', value: false },
+    'quiet': { key: 'quiet', type: 'boolean', short: 'q' },
+    'json': { key: 'json', type: 'boolean' }
+};
+
+const HELP = `Usage: deepwiki-download <owner/repo> [output-dir] [options]
+       deepwiki-download convert <html-dir> [output-dir] [options]
+       deepwiki-download diff <old-dir> [new-dir] [options]
+       deepwiki-download verify [output-dir] [options]
+       deepwiki-download batch [repo-list] [output-dir] [options]
+
+Download a DeepWiki wiki as local markdown with mermaid diagrams.
+
+Commands:
+  (default)                   Download <owner/repo> from deepwiki.com
+  convert                     Convert saved DeepWiki HTML (<page-id>.html files,
+                              e.g. from download-deepwiki.sh) offline, without
+                              network or browser (default output: <html-dir>/markdown)
+  diff                        Compare two downloads of a wiki, or a download with
+                              the live wiki: added, removed and renamed pages, and
+                              changed sections and diagrams per page
+  verify                      Check a download for leftover placeholders and mermaid
+                              CSS, empty code blocks, navigation-only pages, broken
+                              links and index mismatches; exits 1 on errors
+  batch                       Mirror many repositories with one shared browser, from
+                              a list file (one "owner/repo [dir]" per line, or JSON)
+                              or the "repos" array of the config file, into
+                              <output-dir>/<owner>-<repo> (default output-dir:
+                              ./deepwiki-mirrors) plus a top-level index.md
+
+Options:
+  -o, --out <dir>             Output directory (default: ./deepwiki-<owner>-<repo>)
+  -r, --repo <owner/repo>     Repository; for convert, detected from the HTML if omitted
+  -c, --config <file>         Config file (default: ./${CONFIG_FILE} if present)
+      --mode <mode>           auto | payload | render (default: auto)
+      --render                Same as --mode render: always render in Puppeteer
+      --no-browser            Same as --mode payload: never launch a browser
+      --source <source>       scrape | mcp: read pages from the DeepWiki MCP server,
+                              falling back to scraping if it is unavailable
+                              (default: scrape)
+      --mcp                   Same as --source mcp
+      --mcp-endpoint <url>    MCP server URL (default: ${DEFAULT_MCP_ENDPOINT})
+  -p, --pages <patterns>      Only these pages: ids, globs or section prefixes
+                              (comma separated or repeated), e.g. "2.*,3.1"
+  -x, --exclude <patterns>    Skip these pages (same syntax as --pages)
+  -f, --force                 Re-download pages the manifest lists as unchanged
+      --concurrency <n>       Pages downloaded in parallel (default: 3)
+      --retries <n>           Retries for timeouts and empty pages (default: 2)
+      --timeout <ms>          Navigation and request timeout (default: 30000)
+      --selector-timeout <ms> Wait for page content to appear (default: 15000)
+      --settle-delay <ms>     Wait for diagrams to render (default: 2000)
+      --delay <ms>            Pause after each page per worker (default: 500)
+      --viewport <WxH>        Browser viewport (default: 1280x800)
+      --headful               Show the browser window
+      --browser-arg <arg>     Extra Chromium launch argument (repeatable)
+      --diagram-images <fmts> Render diagrams to assets/<page-id>-<n>.svg (svg, png
+                              or both) and link them next to the mermaid source
+      --replace-diagrams      Put the image in place of the mermaid fence, keeping
+                              the source in a collapsed <details> block
+      --localize-assets       Download referenced images into assets/ and link the
+                              local copies (needs network, also for convert)
+      --citation-commit <sha> Pin the GitHub links made from source citations
+                              (file.cpp:10-20) to this commit (default: the commit
+                              DeepWiki linked, else HEAD)
+      --citation-checkout <dir>
+                              Link source citations into this local checkout instead
+      --front-matter          Start every page with YAML front matter: title,
+                              section, parent, order, source URL, fetch time, diagrams
+      --site <generators>     Generate navigation for mkdocs (mkdocs.yml), docusaurus
+                              (sidebars.js, implies --front-matter) and/or vitepress
+                              (.vitepress/ in the output directory)
+      --site-dir <dir>        Site root for mkdocs.yml and sidebars.js
+                              (default: parent of the output directory)
+  -e, --export <formats>      Also write export/: markdown (one combined file),
+                              html (static site), pdf, jsonl (heading-aware chunks
+                              for retrieval pipelines) (comma separated)
+      --chunk-size <chars>    Target size of jsonl chunks (default: ${DEFAULT_OPTIONS.chunkSize})
+  -u, --unified               diff: also print unified diffs of the changed pages
+      --changelog <file>      diff: changelog to add the changes to (default:
+                              CHANGELOG.md in <new-dir>, or in <old-dir> when
+                              comparing with the live wiki)
+      --no-changelog          diff: don't write a changelog
+  -q, --quiet                 Only print failures and the final summary
+      --json                  Print a JSON summary instead of progress output
+  -h, --help                  Show this help
+
+Every option except --config and --help can also be set in the config file,
+using camelCase keys (e.g. "outDir", "settleDelay", "launchArgs").
+`;
+
+/**
+ * Error for invalid command line usage
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse a `WIDTHxHEIGHT` viewport
+ */
+function parseViewport(value) {
+    const m = String(value).match(/^(\d+)x(\d+)$/i);
+    if (!m) throw new UsageError(`Invalid viewport "${value}", expected WIDTHxHEIGHT`);
+    return { width: Number(m[1]), height: Number(m[2]) };
+}
+
+/**
+ * Check an `owner/repo` argument
+ */
+function validateRepo(repo) {
+    if (!/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+        throw new UsageError(`Invalid repository "${repo}", expected owner/repo`);
+    }
+}
+
+/**
+ * Check a list option against its allowed values
+ */
+function validateList(what, values, allowed) {
+    const unknown = values.filter(value => !allowed.includes(value));
+    if (unknown.length > 0) {
+        throw new UsageError(`Invalid ${what} "${unknown[0]}", expected any of ${allowed.join(', ')}`);
+    }
+}
+
+/**
+ * Check the options of live downloads
+ */
+function validateSyncOptions(options) {
+    if (!MODES.includes(options.mode)) {
+        throw new UsageError(`Invalid mode "${options.mode}", expected one of ${MODES.join(', ')}`);
+    }
+    if (!SOURCES.includes(options.source)) {
+        throw new UsageError(`Invalid source "${options.source}", expected one of ${SOURCES.join(', ')}`);
+    }
+    options.concurrency = Math.max(1, options.concurrency);
+}
+
+/**
+ * Read a batch list file
+ *
+ * A `.json` file holds an array of entries, or an object with a `repos`
+ * array. Any other file lists one repository per line, optionally followed by
+ * its output directory; `#` starts a comment.
+ *
+ * @param {string} file
+ * @returns {(string|object)[]}
+ */
+function loadRepoList(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+        throw new UsageError(`Could not read repository list ${file}: ${error.message}`);
+    }
+
+    if (file.endsWith('.json')) {
+        let list;
+        try {
+            list = JSON.parse(text);
+        } catch (error) {
+            throw new UsageError(`Could not read repository list ${file}: ${error.message}`);
+        }
+        const repos = Array.isArray(list) ? list : list && list.repos;
+        if (!Array.isArray(repos)) throw new UsageError(`Repository list ${file} must contain an array or a "repos" array`);
+        return repos;
+    }
+
+    return text.split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const [repo, outDir, extra] = line.split(/\s+/);
+            if (extra) throw new UsageError(`Unexpected "${extra}" in ${file}, expected "owner/repo [output-dir]"`);
+            return outDir ? { repo, outDir } : repo;
+        });
+}
+
+/**
+ * Check the entries of a batch against the shared options
+ * @param {(string|object)[]} repos
+ * @param {object} options - Shared options
+ * @returns {object[]} Entries as objects, with paths resolved against the batch output directory
+ */
+function resolveBatchEntries(repos, options) {
+    if (repos.length === 0) throw new UsageError('Missing <repo-list>, or "repos" in the config file');
+    return repos.map(item => {
+        const entry = typeof item === 'string' ? { repo: item } : item;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry) || typeof entry.repo !== 'string') {
+            throw new UsageError(`Invalid repository entry ${JSON.stringify(item)}, expected "owner/repo" or an object with "repo"`);
+        }
+        validateRepo(entry.repo);
+
+        const unknown = Object.keys(entry).filter(key => !(key in DEFAULT_OPTIONS) && key !== 'browserArgs');
+        if (unknown.length > 0) throw new UsageError(`Unknown option${unknown.length > 1 ? 's' : ''} for ${entry.repo}: ${unknown.join(', ')}`);
+        const shared = ['headful', 'viewport', 'launchArgs', 'browserArgs'].filter(key => key in entry);
+        if (shared.length > 0) throw new UsageError(`${shared.join(', ')} can only be set for the whole batch, not for ${entry.repo}`);
+
+        const merged = { ...options, ...entry };
+        validateSyncOptions(merged);
+        validateOutputOptions(merged);
+        const resolved = { ...entry };
+        if ('concurrency' in entry) resolved.concurrency = merged.concurrency;
+        if (resolved.outDir) resolved.outDir = path.resolve(options.outDir, resolved.outDir);
+        resolvePaths(resolved, options.outDir);
+        return resolved;
+    });
+}
+
+/**
+ * Check the options shared by downloads and conversions
+ */
+function validateOutputOptions(options) {
+    validateList('export format', options.exports, EXPORT_FORMATS);
+    validateList('site generator', options.siteGenerators, SITE_GENERATORS);
+    if (!(options.chunkSize > 0)) {
+        throw new UsageError(`Invalid chunk size "${options.chunkSize}", expected a positive number`);
+    }
+    validateList('diagram image format', options.diagramImages, DIAGRAM_FORMATS);
+    if (!DIAGRAM_PLACEMENTS.includes(options.diagramPlacement)) {
+        throw new UsageError(`Invalid diagram placement "${options.diagramPlacement}", expected one of ${DIAGRAM_PLACEMENTS.join(', ')}`);
+    }
+}
+
+/**
+ * Resolve the optional directory options against the working directory
+ *
+ * Only relative paths from the command line are affected; loadConfig has
+ * already made those from the config file absolute.
+ */
+function resolvePaths(options, cwd) {
+    for (const key of ['siteDir', 'citationCheckout']) {
+        if (options[key]) options[key] = path.resolve(cwd, options[key]);
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {{flags: object, positional: string[]}}
+ */
+function parseArgs(argv) {
+    const flags = {};
+    const positional = [];
+    const shorts = Object.fromEntries(
+        Object.entries(FLAGS).filter(([, spec]) => spec.short).map(([name, spec]) => [spec.short, name])
+    );
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positional.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positional.push(arg);
+            continue;
+        }
+
+        let name;
+        let value;
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+            value = eq === -1 ? undefined : arg.slice(eq + 1);
+        } else {
+            name = shorts[arg.slice(1)];
+            if (!name) throw new UsageError(`Unknown option ${arg}`);
+        }
+
+        const spec = FLAGS[name];
+        if (!spec) throw new UsageError(`Unknown option --${name}`);
+
+        if (spec.type === 'boolean') {
+            if (value !== undefined) throw new UsageError(`Option --${name} takes no value`);
+            flags[spec.key] = spec.value !== undefined ? spec.value : true;
+            continue;
+        }
+
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) throw new UsageError(`Option --${name} needs a value`);
+        }
+
+        switch (spec.type) {
+            case 'number': {
+                const number = Number(value);
+                if (!Number.isInteger(number) || number < 0) {
+                    throw new UsageError(`Option --${name} needs a non-negative integer, got "${value}"`);
+                }
+                flags[spec.key] = number;
+                break;
+            }
+            case 'list': {
+                const items = spec.split === false ? [value] : value.split(',').map(v => v.trim()).filter(Boolean);
+                flags[spec.key] = (flags[spec.key] || []).concat(items);
+                break;
+            }
+            case 'viewport':
+                flags[spec.key] = parseViewport(value);
+                break;
+            default:
+                flags[spec.key] = value;
+        }
+    }
+
+    return { flags, positional };
+}
+
+/**
+ * Check the type of a config value against its default
+ * @returns {string|null} The expected type when the value doesn't match, else null
+ */
+function configTypeError(key, value) {
+    const fallback = key === 'browserArgs' ? [] : DEFAULTS[key];
+    if (Array.isArray(fallback)) {
+        // Batch entries may be objects
+        const item = key === 'repos' ? v => typeof v === 'string' || (v && typeof v === 'object') : v => typeof v === 'string';
+        return Array.isArray(value) && value.every(item) ? null : 'an array of strings';
+    }
+    if (key === 'viewport') {
+        const ok = typeof value === 'string' || (value && typeof value === 'object' && Number.isInteger(value.width) && Number.isInteger(value.height));
+        return ok ? null : 'a "WIDTHxHEIGHT" string or {"width", "height"}';
+    }
+    if (key === 'changelog') return value === null || value === false || typeof value === 'string' ? null : 'a string or false';
+    if (fallback === null) return value === null || typeof value === 'string' ? null : 'a string';
+    if (typeof fallback === 'number') return Number.isInteger(value) && value >= 0 ? null : 'a non-negative integer';
+    return typeof value === typeof fallback ? null : `a ${typeof fallback}`;
+}
+
+/**
+ * Read a config file
+ *
+ * Relative `outDir` paths are resolved against the config file's directory,
+ * so a config committed to a repo works from any working directory.
+ *
+ * @param {string} file
+ * @returns {object}
+ */
+function loadConfig(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new UsageError(`Could not read config ${file}: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new UsageError(`Config ${file} must contain a JSON object`);
+    }
+
+    const unknown = Object.keys(config).filter(key => !(key in DEFAULTS) && key !== 'browserArgs' && key !== '$schema');
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown option${unknown.length > 1 ? 's' : ''} in ${file}: ${unknown.join(', ')}`);
+    }
+    for (const [key, value] of Object.entries(config)) {
+        const expected = key === '$schema' ? null : configTypeError(key, value);
+        if (expected) throw new UsageError(`Invalid "${key}" in ${file}: expected ${expected}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof config.viewport === 'string') config.viewport = parseViewport(config.viewport);
+    for (const key of CONFIG_PATHS) {
+        if (typeof config[key] === 'string') config[key] = path.resolve(path.dirname(file), config[key]);
+    }
+    return config;
+}
+
+/**
+ * Resolve the effective options: defaults < config file < command line
+ * @param {string[]} argv - Arguments without node and script path
+ * @param {string} [cwd=process.cwd()]
+ * @returns {object} Options, with `command` ('download', 'convert', 'diff', 'verify' or 'batch'); `help: true` when help was requested
+ */
+function resolveOptions(argv, cwd = process.cwd()) {
+    const { flags, positional } = parseArgs(argv);
+    const command = COMMANDS.includes(positional[0]) ? positional.shift() : 'download';
+    if (flags.help) return { ...DEFAULTS, command, help: true };
+
+    let configFile = flags.config ? path.resolve(cwd, flags.config) : path.join(cwd, CONFIG_FILE);
+    if (!flags.config && !fs.existsSync(configFile)) configFile = null;
+    const config = configFile ? loadConfig(configFile) : {};
+
+    if (positional.length > 2) {
+        throw new UsageError(`Unexpected argument "${positional[2]}"`);
+    }
+
+    if (command === 'convert') {
+        if (!positional[0]) throw new UsageError('Missing <html-dir>');
+        const options = { ...DEFAULTS, ...config, ...flags, command, configFile };
+        validateOutputOptions(options);
+        options.inputDir = path.resolve(cwd, positional[0]);
+        // A configured outDir belongs to live downloads; converted output goes next to the HTML
+        options.outDir = path.resolve(cwd, positional[1] || flags.outDir || path.join(options.inputDir, 'markdown'));
+        resolvePaths(options, cwd);
+        if (options.repo) validateRepo(options.repo);
+        return options;
+    }
+
+    if (command === 'batch') {
+        const options = { ...DEFAULTS, ...config, ...flags, command, configFile };
+        options.launchArgs = (options.launchArgs || []).concat(config.browserArgs || [], flags.browserArgs || []);
+        delete options.browserArgs;
+        options.outDir = path.resolve(cwd, positional[1] || flags.outDir || config.outDir || './deepwiki-mirrors');
+        validateSyncOptions(options);
+        validateOutputOptions(options);
+        resolvePaths(options, cwd);
+        options.repos = resolveBatchEntries(positional[0] ? loadRepoList(path.resolve(cwd, positional[0])) : options.repos, options);
+        return options;
+    }
+
+    if (command === 'verify') {
+        if (positional.length > 1) throw new UsageError(`Unexpected argument "${positional[1]}"`);
+        const outDir = positional[0] || flags.outDir || config.outDir;
+        if (!outDir) throw new UsageError('Missing <output-dir>');
+        return { ...DEFAULTS, ...config, ...flags, command, configFile, outDir: path.resolve(cwd, outDir) };
+    }
+
+    if (command === 'diff') {
+        if (!positional[0]) throw new UsageError('Missing <old-dir>');
+        const options = { ...DEFAULTS, ...config, ...flags, command, configFile };
+        options.launchArgs = (options.launchArgs || []).concat(config.browserArgs || [], flags.browserArgs || []);
+        delete options.browserArgs;
+        // The live side of a comparison goes to a temporary directory, never the configured outDir
+        delete options.outDir;
+        options.from = path.resolve(cwd, positional[0]);
+        options.to = positional[1] ? path.resolve(cwd, positional[1]) : null;
+        if (typeof options.changelog === 'string') options.changelog = path.resolve(cwd, options.changelog);
+        if (options.repo) validateRepo(options.repo);
+        validateSyncOptions(options);
+        validateOutputOptions(options);
+        resolvePaths(options, cwd);
+        return options;
+    }
+
+    if (positional[0]) flags.repo = positional[0];
+    if (positional[1]) flags.outDir = positional[1];
+
+    const options = { ...DEFAULTS, ...config, ...flags, command, configFile };
+    options.launchArgs = (options.launchArgs || []).concat(config.browserArgs || [], flags.browserArgs || []);
+    delete options.browserArgs;
+
+    if (!options.repo) throw new UsageError('Missing <owner/repo>');
+    validateRepo(options.repo);
+    validateSyncOptions(options);
+    validateOutputOptions(options);
+    options.outDir = path.resolve(cwd, options.outDir || `./deepwiki-${options.repo.replace('/', '-')}`);
+    resolvePaths(options, cwd);
+    return options;
+}
+
+module.exports = {
+    CONFIG_FILE,
+    DEFAULTS,
+    HELP,
+    UsageError,
+    parseArgs,
+    loadConfig,
+    loadRepoList,
+    resolveOptions
+};
@@ -0,0 +1,281 @@
+/**
+ * Offline Conversion
+ *
+ * Converts a directory of saved DeepWiki HTML (as written by
+ * download-deepwiki.sh) into the same markdown, index, manifest and mermaid
+ * report as a live download, without network access or a browser.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { discoverPagesFromHTML, buildPageTree, sectionOf, selectPages } = require('./structure');
+const { extractPageMarkdown } = require('./rsc');
+const { convertElement } = require('./html-to-markdown');
+const { decodeEntities, parseHTML } = require('./dom');
+const { extractMermaidBlocks, extractMermaidFromHTML, fillDiagrams, removeMermaidCss, pageReport, buildReport } = require('./mermaid');
+const { hashContent, loadManifest, saveManifest, beginRun, completeRun, findRemovedPages, MANIFEST_FILE } = require('./manifest');
+const { createIndex, fixPageAnchors, stripFrontMatter } = require('./output');
+const { writeExports } = require('./export');
+const { writeSiteConfigs } = require('./site-config');
+const { CITATIONS_FILE, BY_SOURCE_FILE, writeCitationIndex } = require('./citations');
+const { DEFAULT_OPTIONS, lazyBrowser, linkOptions, preparePage } = require('./downloader');
+const { removeDiagramAssets } = require('./diagrams');
+const { createAssetStore, pruneAssets } = require('./assets');
+
+/**
+ * Find the owner/repo a saved DeepWiki page belongs to
+ * @param {string} html
+ * @returns {string|null}
+ */
+function detectRepo(html) {
+    const canonical = html.match(/<link[^>]+rel="canonical"[^>]+href="https:\/\/deepwiki\.com\/([\w.-]+\/[\w.-]+)/) ||
+        html.match(/<meta[^>]+property="og:url"[^>]+content="https:\/\/deepwiki\.com\/([\w.-]+\/[\w.-]+)/);
+    if (canonical) return canonical[1];
+
+    // Most common repo among wiki page links
+    const counts = new Map();
+    const linkPattern = /href="(?:https:\/\/deepwiki\.com)?\/([\w.-]+\/[\w.-]+)\/\d+(?:\.\d+)*-/g;
+    let m;
+    while ((m = linkPattern.exec(html)) !== null) {
+        counts.set(m[1], (counts.get(m[1]) || 0) + 1);
+    }
+    let best = null;
+    for (const [repo, count] of counts) {
+        if (!best || count > counts.get(best)) best = repo;
+    }
+    return best;
+}
+
+/**
+ * Page title from the HTML <title>, without the " | DeepWiki" suffix
+ */
+function titleFromHTML(html, fallback) {
+    const m = html.match(/<title[^>]*>([^<]+)<\/title>/i);
+    if (!m) return fallback;
+    return decodeEntities(m[1]).replace(/\s*\|\s*DeepWiki.*$/i, '').replace(/\s*\|.*$/, '').trim() || fallback;
+}
+
+/**
+ * Rendered mermaid diagrams in saved HTML, with the labels renderPage collects
+ * @param {Element} root
+ * @returns {{id: string, labels: string[]}[]}
+ */
+function renderedDiagrams(root) {
+    const labelSelectors = ['.nodeLabel', '.edgeLabel', '.cluster-label', 'text'];
+    return root.querySelectorAll('svg').filter(svg => /^mermaid/.test(svg.id)).map(svg => ({
+        id: svg.id,
+        labels: labelSelectors.flatMap(selector => svg.querySelectorAll(selector))
+            .map(el => el.textContent.trim())
+            .filter(Boolean)
+    }));
+}
+
+/**
+ * Extract a page's markdown from saved HTML
+ *
+ * Prefers the original markdown in the RSC payload; otherwise converts the
+ * server-rendered `.prose` content, filling its diagram placeholders the way
+ * renderPage does.
+ *
+ * @returns {{markdown: string, source: 'payload'|'html', diagrams: object}}
+ */
+function convertPageHTML(html, pageInfo) {
+    let markdown = extractPageMarkdown(html, pageInfo);
+    if (markdown) {
+        return { markdown, source: 'payload', diagrams: pageReport(pageInfo.id, extractMermaidBlocks(markdown), null, null) };
+    }
+
+    const doc = parseHTML(html);
+    const root = doc.querySelector('.prose') || doc;
+    const svgs = renderedDiagrams(root);
+    markdown = convertElement(root);
+    let match = null;
+    if (svgs.length > 0 || /%%MERMAID_PLACEHOLDER/.test(markdown)) {
+        ({ markdown, match } = fillDiagrams(markdown, svgs, extractMermaidFromHTML(html, pageInfo)));
+    }
+    markdown = removeMermaidCss(markdown);
+    return { markdown, source: 'html', diagrams: pageReport(pageInfo.id, extractMermaidBlocks(markdown), match, match ? svgs.length : null) };
+}
+
+/**
+ * Convert a directory of saved DeepWiki HTML files to markdown
+ *
+ * Page ids come from the file names (`<page-id>.html`). The page hierarchy is
+ * read from the sidebar in the saved HTML, falling back to section numbers.
+ *
+ * @param {object} options
+ * @param {string} options.inputDir - Directory with saved .html files
+ * @param {string} [options.outDir] - Default: <inputDir>/markdown
+ * @param {string} [options.repo] - owner/repo; detected from the HTML when omitted
+ * @param {string[]} [options.pages] - Only pages matching these patterns
+ * @param {string[]} [options.exclude] - Skip pages matching these patterns
+ * @param {string[]} [options.diagramImages] - Render diagrams to assets/, as for downloadWiki (launches a browser)
+ * @param {'link'|'replace'} [options.diagramPlacement='link']
+ * @param {boolean} [options.localizeAssets=false] - Download referenced images into assets/ (needs network)
+ * @param {string} [options.citationCommit] - Commit for source citation links, as for downloadWiki
+ * @param {string} [options.citationCheckout] - Local checkout for source citation links
+ * @param {boolean} [options.frontMatter=false] - YAML front matter, as for downloadWiki; the fetch time is the HTML file's modification time
+ * @param {string[]} [options.siteGenerators] - Site navigation, as for downloadWiki
+ * @param {string} [options.siteDir] - Site root for mkdocs.yml and sidebars.js (default: parent of outDir)
+ * @param {string[]} [options.exports] - Extra outputs, as for downloadWiki; only 'pdf' launches a browser
+ * @param {(event: object) => void} [options.onProgress]
+ * @param {(result: object) => void} [options.onPage]
+ * @returns {Promise<{repo: string, outDir: string, pages: number, counts: object, failures: object[], diagrams: object, assetFailures: object[], files: string[]}>}
+ */
+async function convertWiki(options) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    if (options.siteGenerators.includes('docusaurus')) options.frontMatter = true;
+    const inputDir = path.resolve(options.inputDir);
+    const outDir = path.resolve(options.outDir || path.join(inputDir, 'markdown'));
+    const emit = event => options.onProgress && options.onProgress(event);
+    const report = result => options.onPage && options.onPage(result);
+
+    const htmlFiles = (await fs.readdir(inputDir))
+        .filter(name => name.endsWith('.html') && sectionOf(name))
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+    if (htmlFiles.length === 0) {
+        throw new Error(`No saved DeepWiki pages (<page-id>.html) in ${inputDir}`);
+    }
+
+    const htmlById = new Map();
+    for (const name of htmlFiles) {
+        htmlById.set(name.slice(0, -'.html'.length), await fs.readFile(path.join(inputDir, name), 'utf-8'));
+    }
+    const firstHTML = htmlById.values().next().value;
+
+    const repo = options.repo || detectRepo(firstHTML);
+    if (!repo) throw new Error('Could not detect the repository from the saved HTML; pass it explicitly');
+
+    emit({ type: 'start', repo, inputDir, outDir, files: htmlFiles.length });
+    await fs.mkdir(outDir, { recursive: true });
+
+    // Sidebar order for the pages we have, then any saved pages the sidebar doesn't list
+    const sidebar = discoverPagesFromHTML(firstHTML, repo).filter(page => htmlById.has(page.id));
+    const listed = new Set(sidebar.map(page => page.id));
+    const extra = [...htmlById.keys()].filter(id => !listed.has(id));
+    const pages = buildPageTree(sidebar.concat(extra.map(id => ({ id, title: titleFromHTML(htmlById.get(id), id) }))));
+
+    const selected = selectPages(pages, options.pages, options.exclude);
+    emit({ type: 'discovered', total: pages.length, selected: selected.length, pages: selected });
+
+    const manifest = await loadManifest(outDir, repo);
+    beginRun(manifest);
+
+    // Only diagram images and PDF export need a browser, and only localized images the network
+    const browser = lazyBrowser(options, () => emit({ type: 'launch' }));
+    const assets = options.localizeAssets ? createAssetStore({ outDir, timeout: options.timeout, retries: options.retries }) : null;
+    const links = await linkOptions(outDir, repo, options);
+    try {
+        const counts = { added: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 };
+        const failures = [];
+        const diagramReports = [];
+
+        for (let i = 0; i < selected.length; i++) {
+            const pageInfo = selected[i];
+            const base = { id: pageInfo.id, title: pageInfo.title, total: selected.length, index: i + 1 };
+            const url = `https://deepwiki.com/${repo}/${pageInfo.id}`;
+            const fileName = `${pageInfo.id}.md`;
+
+            try {
+                const html = htmlById.get(pageInfo.id);
+                const { markdown: extracted, source, diagrams: pageDiagrams } = convertPageHTML(html, pageInfo);
+                if (!extracted || extracted.length < 100) {
+                    throw new Error('Content too short or empty');
+                }
+
+                // The snapshot's modification time stands in for the fetch time
+                const stat = await fs.stat(path.join(inputDir, `${pageInfo.id}.html`));
+                const fetchedAt = stat.mtime.toISOString();
+                const prepared = await preparePage(extracted, pageDiagrams, pageInfo, {
+                    options: { ...options, repo, outDir },
+                    url,
+                    fetchedAt,
+                    getBrowser: browser.get,
+                    assets,
+                    links
+                });
+                const { markdown, diagrams } = prepared;
+                const contentHash = hashContent(stripFrontMatter(markdown));
+                const previous = manifest.pages[pageInfo.id];
+                const status = !previous ? 'added' : previous.contentHash === contentHash ? 'unchanged' : 'updated';
+
+                await fs.writeFile(path.join(outDir, fileName), markdown, 'utf-8');
+                manifest.pages[pageInfo.id] = {
+                    id: pageInfo.id,
+                    title: pageInfo.title,
+                    url,
+                    file: fileName,
+                    source: `offline-${source}`,
+                    fetchedAt,
+                    hash: hashContent(extracted),
+                    contentHash,
+                    diagrams: diagrams.sourceCount,
+                    ...(assets ? { assets: prepared.assets } : {}),
+                    ...(options.frontMatter ? { frontMatter: true } : {})
+                };
+
+                counts[status]++;
+                diagramReports.push(diagrams);
+                report({ ...base, status, source, bytes: Buffer.byteLength(markdown), diagrams, assetFailures: prepared.assetFailures });
+            } catch (error) {
+                counts.failed++;
+                failures.push({ id: pageInfo.id, error: error.message });
+                report({ ...base, status: 'failed', error: error.message });
+            }
+        }
+
+        // Pages converted earlier whose HTML is gone from the snapshot
+        for (const entry of findRemovedPages(manifest, pages)) {
+            await fs.rm(path.join(outDir, entry.file), { force: true });
+            await removeDiagramAssets(outDir, entry.id);
+            delete manifest.pages[entry.id];
+            counts.removed++;
+            emit({ type: 'removed', id: entry.id, file: entry.file });
+        }
+        completeRun(manifest);
+        await saveManifest(outDir, manifest);
+        if (assets) await pruneAssets(outDir, Object.values(manifest.pages).flatMap(entry => entry.assets || []));
+
+        const indexed = pages.filter(page => manifest.pages[page.id]);
+        await fixPageAnchors(outDir, indexed);
+
+        // Source files cited by each page, and the pages citing each file
+        const cited = await writeCitationIndex(outDir, repo, indexed);
+        emit({ type: 'written', file: CITATIONS_FILE, summary: cited });
+        emit({ type: 'written', file: BY_SOURCE_FILE });
+        await fs.writeFile(path.join(outDir, 'index.md'), createIndex(repo, indexed, options), 'utf-8');
+        emit({ type: 'written', file: 'index.md' });
+
+        const site = await writeSiteConfigs(outDir, repo, indexed, options.siteGenerators, { siteDir: options.siteDir });
+        for (const file of site.written) emit({ type: 'written', file, kind: 'site' });
+        for (const file of site.skipped) emit({ type: 'skipped', file });
+
+        const exported = await writeExports(outDir, repo, indexed, options.exports, { getBrowser: browser.get, timeout: options.timeout, chunkSize: options.chunkSize });
+        for (const file of exported) emit({ type: 'written', file });
+
+        const diagramReport = buildReport(repo, diagramReports);
+        await fs.writeFile(path.join(outDir, 'mermaid-report.json'), JSON.stringify(diagramReport, null, 2), 'utf-8');
+        emit({ type: 'written', file: 'mermaid-report.json', summary: diagramReport.summary });
+
+        const summary = {
+            repo,
+            outDir,
+            pages: selected.length,
+            counts,
+            failures,
+            diagrams: diagramReport.summary,
+            assetFailures: assets ? assets.failures() : [],
+            files: ['index.md', MANIFEST_FILE, 'mermaid-report.json', CITATIONS_FILE, BY_SOURCE_FILE, ...site.written, ...exported]
+        };
+        emit({ type: 'done', summary });
+        return summary;
+    } finally {
+        await browser.close();
+    }
+}
+
+module.exports = {
+    detectRepo,
+    convertPageHTML,
+    convertWiki
+};
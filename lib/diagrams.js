@@ -0,0 +1,246 @@
+/**
+ * Diagram Images
+ *
+ * Renders a page's mermaid diagrams to image files in `assets/` with the
+ * bundled mermaid.js in headless Chromium, for viewers that can't render
+ * mermaid fences. The mermaid source always stays in the page: the image link
+ * goes right before its fence, or replaces it and keeps the source in a
+ * collapsed `<details>` block.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ASSETS_DIR = 'assets';
+const DIAGRAM_FORMATS = ['svg', 'png'];
+const DIAGRAM_PLACEMENTS = ['link', 'replace'];
+
+// Same fences as extractMermaidBlocks, so diagram numbers line up
+const FENCE_PATTERN = /^([ \t]*)(`{3,}|~{3,})mermaid[ \t]*\n([\s\S]*?)\n[ \t]*\2[ \t]*$/gm;
+const SOURCE_SUMMARY = '<summary>Mermaid source</summary>';
+
+/**
+ * Path of the bundled mermaid.js
+ */
+function mermaidScriptPath() {
+    return require.resolve('mermaid/dist/mermaid.min.js');
+}
+
+/**
+ * Render mermaid sources in the browser
+ *
+ * A diagram that fails to render gets an `error` instead of images; the
+ * others are still rendered.
+ *
+ * @param {import('puppeteer').Browser} browser
+ * @param {string[]} sources
+ * @param {object} [options]
+ * @param {string[]} [options.formats=['svg']] - 'svg' and/or 'png'
+ * @param {number} [options.timeout=30000]
+ * @returns {Promise<{svg?: string, png?: Buffer, error?: string}[]>}
+ */
+async function renderMermaid(browser, sources, options = {}) {
+    const formats = options.formats || ['svg'];
+    const page = await browser.newPage();
+    try {
+        page.setDefaultTimeout(options.timeout || 30000);
+        await page.setViewport({ width: 1600, height: 1200, deviceScaleFactor: 2 });
+        await page.setContent('<!DOCTYPE html><html><body style="margin:0;background:#fff"><div id="diagram" style="display:inline-block"></div></body></html>');
+        await page.addScriptTag({ path: mermaidScriptPath() });
+        await page.evaluate(() => {
+            /* global mermaid */
+            // Plain SVG text labels instead of <foreignObject> HTML, so the files render outside browsers
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', htmlLabels: false, flowchart: { htmlLabels: false } });
+        });
+
+        const results = [];
+        for (let i = 0; i < sources.length; i++) {
+            try {
+                const svg = await page.evaluate(async (id, source) => {
+                    const { svg } = await mermaid.render(id, source);
+                    return svg;
+                }, `diagram-${i + 1}`, sources[i]);
+
+                const result = { svg };
+                if (formats.includes('png')) {
+                    await page.evaluate(markup => {
+                        document.getElementById('diagram').innerHTML = markup;
+                    }, svg);
+                    const element = await page.$('#diagram svg');
+                    result.png = await element.screenshot({ type: 'png' });
+                }
+                results.push(result);
+            } catch (error) {
+                // Mermaid's parse errors span several lines with a source excerpt
+                results.push({ error: error.message.replace(/\s+/g, ' ').trim().slice(0, 300) });
+            }
+        }
+        return results;
+    } finally {
+        await page.close();
+    }
+}
+
+/**
+ * Check mermaid sources with mermaid's own parser
+ *
+ * All checks of a run share one page with mermaid.js loaded, opened the first
+ * time there is something to parse. When no browser can be launched, every
+ * check resolves to null, so callers keep their heuristic results.
+ *
+ * @param {() => Promise<import('puppeteer').Browser>} getBrowser
+ * @param {object} [options]
+ * @param {number} [options.timeout=30000]
+ * @returns {{parse: (sources: string[]) => Promise<(string|null)[]|null>, close: () => Promise<void>}}
+ *   `parse` resolves to the parse error per source, null for sources that parse
+ */
+function createMermaidParser(getBrowser, options = {}) {
+    let opening = null;
+    const open = async () => {
+        const page = await (await getBrowser()).newPage();
+        page.setDefaultTimeout(options.timeout || 30000);
+        await page.setContent('<!DOCTYPE html><html><body></body></html>');
+        await page.addScriptTag({ path: mermaidScriptPath() });
+        await page.evaluate(() => {
+            /* global mermaid */
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+        });
+        return page;
+    };
+
+    return {
+        async parse(sources) {
+            if (sources.length === 0) return [];
+            // Pages are checked concurrently, all on the page opened by the first
+            if (!opening) opening = open().catch(() => null);
+            const page = await opening;
+            if (!page) return null;
+            const errors = await page.evaluate(list => Promise.all(list.map(source =>
+                mermaid.parse(source).then(() => null, error => String((error && error.message) || error))
+            )), sources);
+            // Mermaid's parse errors span several lines with a source excerpt
+            return errors.map(error => (error === null ? null : error.replace(/\s+/g, ' ').trim().slice(0, 300)));
+        },
+        async close() {
+            const page = opening && await opening;
+            opening = null;
+            if (page) await page.close().catch(() => {});
+        }
+    };
+}
+
+/**
+ * Put image links next to (or in place of) the mermaid fences of a page
+ * @param {string} markdown
+ * @param {(string|null)[]} images - Relative image path per diagram, null to leave it alone
+ * @param {'link'|'replace'} [placement='link']
+ * @returns {string}
+ */
+function insertDiagramImages(markdown, images, placement = 'link') {
+    let index = 0;
+    return markdown.replace(FENCE_PATTERN, fence => {
+        const image = images[index++];
+        if (!image) return fence;
+        const indent = fence.match(/^[ \t]*/)[0];
+        const link = `${indent}![Diagram ${index}](${image})`;
+        if (placement === 'replace') {
+            return `${link}\n\n${indent}<details>\n${indent}${SOURCE_SUMMARY}\n\n${fence}\n\n${indent}</details>`;
+        }
+        return `${link}\n\n${fence}`;
+    });
+}
+
+/**
+ * Undo insertDiagramImages, leaving the plain mermaid fences
+ *
+ * Used by exports that draw diagrams with mermaid.js themselves.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+function removeDiagramImages(markdown) {
+    return markdown
+        .replace(new RegExp(`^([ \\t]*)<details>\\n[ \\t]*${SOURCE_SUMMARY}\\n\\n([\\s\\S]*?)\\n\\n[ \\t]*</details>$`, 'gm'), (block, indent, inner) =>
+            (/^[ \t]*(`{3,}|~{3,})mermaid[ \t]*\n[\s\S]*\n[ \t]*\1[ \t]*$/.test(inner) ? inner : block))
+        .replace(new RegExp(`^[ \\t]*!\\[Diagram \\d+\\]\\(\\./${ASSETS_DIR}/[^)\\s]+\\)\\n\\n`, 'gm'), '');
+}
+
+/**
+ * Delete a page's diagram images
+ * @param {string} outDir
+ * @param {string} pageId
+ */
+async function removeDiagramAssets(outDir, pageId) {
+    const dir = path.join(outDir, ASSETS_DIR);
+    let names;
+    try {
+        names = await fs.readdir(dir);
+    } catch {
+        return;
+    }
+    const prefix = `${pageId}-`;
+    for (const name of names) {
+        if (name.startsWith(prefix) && /^\d+\.(svg|png)$/.test(name.slice(prefix.length))) {
+            await fs.rm(path.join(dir, name), { force: true });
+        }
+    }
+}
+
+/**
+ * Render a page's diagrams to `assets/<page-id>-<n>.<format>` and link them
+ * @param {string} markdown - Page markdown with mermaid fences
+ * @param {string} pageId
+ * @param {object} options
+ * @param {string} options.outDir
+ * @param {() => Promise<import('puppeteer').Browser>} options.getBrowser
+ * @param {string[]} options.formats - 'svg' and/or 'png'; the link points to the SVG when there is one
+ * @param {'link'|'replace'} [options.placement='link']
+ * @param {number} [options.timeout]
+ * @returns {Promise<{markdown: string, images: {index: number, files: string[], error: string|null}[]}>}
+ */
+async function renderDiagramImages(markdown, pageId, options) {
+    const sources = [];
+    let m;
+    FENCE_PATTERN.lastIndex = 0;
+    while ((m = FENCE_PATTERN.exec(markdown)) !== null) {
+        const indent = m[1];
+        sources.push(m[3].split('\n').map(line => (line.startsWith(indent) ? line.slice(indent.length) : line)).join('\n').trim());
+    }
+
+    await removeDiagramAssets(options.outDir, pageId);
+    if (sources.length === 0) return { markdown, images: [] };
+
+    const rendered = await renderMermaid(await options.getBrowser(), sources, options);
+    await fs.mkdir(path.join(options.outDir, ASSETS_DIR), { recursive: true });
+
+    const images = [];
+    const links = [];
+    for (let i = 0; i < rendered.length; i++) {
+        const result = rendered[i];
+        const files = [];
+        for (const format of options.formats) {
+            if (!result[format]) continue;
+            const file = `${ASSETS_DIR}/${pageId}-${i + 1}.${format}`;
+            await fs.writeFile(path.join(options.outDir, file), result[format]);
+            files.push(file);
+        }
+        images.push({ index: i, files, error: result.error || null });
+        const linked = files.find(file => file.endsWith('.svg')) || files[0];
+        links.push(linked ? `./${linked}` : null);
+    }
+
+    return { markdown: insertDiagramImages(markdown, links, options.placement), images };
+}
+
+module.exports = {
+    ASSETS_DIR,
+    DIAGRAM_FORMATS,
+    DIAGRAM_PLACEMENTS,
+    mermaidScriptPath,
+    renderMermaid,
+    createMermaidParser,
+    insertDiagramImages,
+    removeDiagramImages,
+    removeDiagramAssets,
+    renderDiagramImages
+};
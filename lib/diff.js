@@ -0,0 +1,539 @@
+/**
+ * Wiki Diff
+ *
+ * Compares two downloads of a wiki, or a download with the live wiki: which
+ * pages were added, removed or renamed, and within each page which sections
+ * and diagrams changed. The result can be printed, with unified diffs of the
+ * page files, and summarized as an entry of the mirror's CHANGELOG.md.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MANIFEST_FILE } = require('./manifest');
+const { buildPageTree, selectPages } = require('./structure');
+const { stripFrontMatter } = require('./output');
+const { extractMermaidBlocks } = require('./mermaid');
+const { inlineText } = require('./markdown-to-html');
+const { downloadWiki } = require('./downloader');
+
+const CHANGELOG_FILE = 'CHANGELOG.md';
+
+// Pages at least this similar (share of common lines) count as renamed
+const RENAME_SIMILARITY = 0.5;
+
+const INDEX_ENTRY_PATTERN = /^( *)- \[(.*)\]\(\.\/([^)]+)\.md\)\s*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const FENCE_PATTERN = /^[ \t]*(`{3,}|~{3,})/;
+// The page URL in it changes with every rename
+const SOURCE_LINE_PATTERN = /\n+---\n\*Source: \[DeepWiki\]\([^)]*\)\*\s*$/;
+
+/**
+ * Load a downloaded wiki: its manifest, page hierarchy and page files
+ *
+ * The hierarchy is read back from index.md; pages missing there follow in
+ * manifest order. Page files are read without front matter and source line.
+ *
+ * @param {string} dir - Output directory of a download or conversion
+ * @param {object} [options]
+ * @param {string[]} [options.pages] - Only these pages (see selectPages)
+ * @param {string[]} [options.exclude]
+ * @returns {Promise<{dir: string, repo: string, fetchedAt: string|null, pages: object[], markdown: Map<string, string>}>}
+ */
+async function loadSnapshot(dir, options = {}) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf-8'));
+    } catch {
+        throw new Error(`${dir} has no ${MANIFEST_FILE}; is it a wiki download?`);
+    }
+
+    const entries = [];
+    try {
+        const index = await fs.readFile(path.join(dir, 'index.md'), 'utf-8');
+        for (const line of index.split('\n')) {
+            const m = line.match(INDEX_ENTRY_PATTERN);
+            if (m && manifest.pages[m[3]]) entries.push({ id: m[3], title: manifest.pages[m[3]].title, listDepth: m[1].length });
+        }
+    } catch {
+        // No index; manifest order only
+    }
+    const listed = new Set(entries.map(entry => entry.id));
+    for (const entry of Object.values(manifest.pages)) {
+        if (!listed.has(entry.id)) entries.push({ id: entry.id, title: entry.title, listDepth: 0 });
+    }
+
+    const pages = selectPages(buildPageTree(entries), options.pages, options.exclude);
+    const markdown = new Map();
+    for (const page of pages) {
+        try {
+            markdown.set(page.id, stripFrontMatter(await fs.readFile(path.join(dir, `${page.id}.md`), 'utf-8')).replace(SOURCE_LINE_PATTERN, '\n'));
+        } catch {
+            // Listed in the manifest but deleted since
+        }
+    }
+
+    return {
+        dir,
+        repo: manifest.repo,
+        fetchedAt: manifest.run ? manifest.run.startedAt : null,
+        pages: pages.filter(page => markdown.has(page.id)),
+        markdown
+    };
+}
+
+/**
+ * Lines of a text, without the empty string after a final newline
+ */
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Shortest line edit script between two texts (Myers' algorithm)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {{type: ' '|'-'|'+', line: string}[]}
+ */
+function diffLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = []; // trace[d] = furthest x per diagonal k in -(d+1)..d+1 before step d
+
+    let done = false;
+    for (let d = 0; d <= n + m && !done; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                done = true;
+                break;
+            }
+        }
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const at = k => trace[d][k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ type: '+', line: b[--y] });
+        } else {
+            ops.push({ type: '-', line: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: ' ', line: a[--x] });
+        y--;
+    }
+    return ops.reverse();
+}
+
+/**
+ * Unified diff of two texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [options]
+ * @param {string} [options.from='a'] - Label of the old file
+ * @param {string} [options.to='b'] - Label of the new file
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Empty when the texts are equal
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+    const { from = 'a', to = 'b', context = 3 } = options;
+    if (oldText === newText) return '';
+
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    // Changes closer than twice the context share a hunk
+    const hunks = [];
+    ops.forEach((op, i) => {
+        if (op.type === ' ') return;
+        const last = hunks[hunks.length - 1];
+        if (last && i - context <= last.end) {
+            last.end = Math.min(ops.length, i + context + 1);
+        } else {
+            hunks.push({ start: Math.max(0, i - context), end: Math.min(ops.length, i + context + 1) });
+        }
+    });
+    if (hunks.length === 0) return '';
+
+    let out = `--- ${from}\n+++ ${to}\n`;
+    for (const { start, end } of hunks) {
+        const lines = ops.slice(start, end);
+        const oldCount = lines.filter(op => op.type !== '+').length;
+        const newCount = lines.filter(op => op.type !== '-').length;
+        // An empty range starts at the line before it
+        const oldStart = oldCount === 0 ? lines[0].oldLine - 1 : lines[0].oldLine;
+        const newStart = newCount === 0 ? lines[0].newLine - 1 : lines[0].newLine;
+        out += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+        out += lines.map(op => `${op.type}${op.line}\n`).join('');
+    }
+    return out;
+}
+
+/**
+ * Split a page into sections at its headings, ignoring fenced code
+ *
+ * Repeated headings are told apart by a counter, e.g. "## Usage (2)".
+ *
+ * @param {string} markdown
+ * @returns {{key: string, body: string}[]} Keys are the heading lines, e.g. "## Usage"; the part before the first heading has key ''
+ */
+function splitSections(markdown) {
+    const sections = [{ key: '', lines: [] }];
+    const seen = new Map();
+    let fence = null;
+
+    for (const line of markdown.split('\n')) {
+        const marker = line.match(FENCE_PATTERN);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && line.trim() === marker[1]) fence = null;
+        } else if (marker) {
+            fence = marker[1];
+        } else {
+            const heading = line.match(HEADING_PATTERN);
+            if (heading) {
+                const base = `${heading[1]} ${inlineText(heading[2] || '')}`;
+                const count = (seen.get(base) || 0) + 1;
+                seen.set(base, count);
+                sections.push({ key: count > 1 ? `${base} (${count})` : base, lines: [] });
+                continue;
+            }
+        }
+        sections[sections.length - 1].lines.push(line);
+    }
+
+    return sections.map(({ key, lines }) => ({ key, body: lines.join('\n').trim() }));
+}
+
+/**
+ * Section and diagram changes between two versions of a page
+ * @param {string} oldMarkdown
+ * @param {string} newMarkdown
+ * @returns {{headings: {added: string[], removed: string[], changed: string[]}, diagrams: {section: string, change: string}[], lines: {added: number, removed: number}}}
+ */
+function comparePage(oldMarkdown, newMarkdown) {
+    const before = new Map(splitSections(oldMarkdown).map(section => [section.key, section]));
+    const after = new Map(splitSections(newMarkdown).map(section => [section.key, section]));
+    const headings = { added: [], removed: [], changed: [] };
+    const diagrams = [];
+    const label = section => section.key.replace(/^#+ /, '') || '(top)';
+
+    for (const [key, section] of before) {
+        if (!after.has(key)) {
+            headings.removed.push(key);
+            for (let i = 0; i < extractMermaidBlocks(section.body).length; i++) diagrams.push({ section: label(section), change: 'removed' });
+            continue;
+        }
+        const current = after.get(key);
+        if (current.body === section.body) continue;
+        if (key) headings.changed.push(key);
+
+        // Diagrams of a section are compared in order
+        const oldDiagrams = extractMermaidBlocks(section.body);
+        const newDiagrams = extractMermaidBlocks(current.body);
+        for (let i = 0; i < Math.max(oldDiagrams.length, newDiagrams.length); i++) {
+            if (oldDiagrams[i] === newDiagrams[i]) continue;
+            const change = i >= oldDiagrams.length ? 'added' : i >= newDiagrams.length ? 'removed' : 'changed';
+            diagrams.push({ section: label(section), change });
+        }
+    }
+    for (const [key, section] of after) {
+        if (before.has(key)) continue;
+        headings.added.push(key);
+        for (let i = 0; i < extractMermaidBlocks(section.body).length; i++) diagrams.push({ section: label(section), change: 'added' });
+    }
+
+    const ops = diffLines(splitLines(oldMarkdown), splitLines(newMarkdown));
+    const lines = {
+        added: ops.filter(op => op.type === '+').length,
+        removed: ops.filter(op => op.type === '-').length
+    };
+    return { headings, diagrams, lines };
+}
+
+/**
+ * Share of lines two pages have in common, ignoring blank lines
+ * @returns {number} 0 to 1
+ */
+function similarity(oldMarkdown, newMarkdown) {
+    const a = new Set(oldMarkdown.split('\n').map(line => line.trim()).filter(Boolean));
+    const b = new Set(newMarkdown.split('\n').map(line => line.trim()).filter(Boolean));
+    if (a.size === 0 || b.size === 0) return 0;
+    let common = 0;
+    for (const line of a) if (b.has(line)) common++;
+    return common / Math.max(a.size, b.size);
+}
+
+/**
+ * Page id without its section number ("2.1-artboard-system" -> "artboard-system")
+ */
+function slugOf(id) {
+    return id.replace(/^\d+(?:\.\d+)*-/, '');
+}
+
+/**
+ * Pair removed and added pages that are the same page under a new id
+ *
+ * A page keeping its slug or title while its section number changes is a
+ * rename; otherwise the most similar remaining pages are paired when they
+ * share at least RENAME_SIMILARITY of their lines.
+ *
+ * @returns {{from: object, to: object}[]}
+ */
+function findRenames(removed, added, before, after) {
+    const renames = [];
+    const pair = (from, to) => {
+        renames.push({ from, to });
+        removed.splice(removed.indexOf(from), 1);
+        added.splice(added.indexOf(to), 1);
+    };
+
+    for (const from of [...removed]) {
+        const to = added.find(page => slugOf(page.id) === slugOf(from.id)) || added.find(page => page.title === from.title);
+        if (to) pair(from, to);
+    }
+
+    const candidates = [];
+    for (const from of removed) {
+        for (const to of added) {
+            const score = similarity(before.markdown.get(from.id), after.markdown.get(to.id));
+            if (score >= RENAME_SIMILARITY) candidates.push({ from, to, score });
+        }
+    }
+    for (const { from, to } of candidates.sort((x, y) => y.score - x.score)) {
+        if (removed.includes(from) && added.includes(to)) pair(from, to);
+    }
+
+    return renames;
+}
+
+/**
+ * Compare two snapshots of the same wiki
+ * @param {Awaited<ReturnType<typeof loadSnapshot>>} before
+ * @param {Awaited<ReturnType<typeof loadSnapshot>>} after
+ * @param {object} [options]
+ * @param {boolean} [options.unified=false] - Include a unified diff of each changed page
+ * @returns {object} Added, removed, renamed and changed pages
+ */
+function compareSnapshots(before, after, options = {}) {
+    const afterIds = new Set(after.pages.map(page => page.id));
+    const beforeIds = new Set(before.pages.map(page => page.id));
+    const removed = before.pages.filter(page => !afterIds.has(page.id));
+    const added = after.pages.filter(page => !beforeIds.has(page.id));
+    const renames = findRenames(removed, added, before, after);
+
+    const pairs = [
+        ...after.pages.filter(page => beforeIds.has(page.id)).map(page => ({ from: before.pages.find(p => p.id === page.id), to: page })),
+        ...renames
+    ];
+    const changed = [];
+    let unchanged = 0;
+    for (const { from, to } of pairs) {
+        const oldMarkdown = before.markdown.get(from.id);
+        const newMarkdown = after.markdown.get(to.id);
+        const renamed = from.id !== to.id;
+        if (oldMarkdown === newMarkdown && !renamed && from.title === to.title) {
+            unchanged++;
+            continue;
+        }
+        changed.push({
+            id: to.id,
+            title: to.title,
+            ...(renamed ? { previousId: from.id } : {}),
+            ...(from.title !== to.title ? { previousTitle: from.title } : {}),
+            ...comparePage(oldMarkdown, newMarkdown),
+            ...(options.unified ? { diff: unifiedDiff(oldMarkdown, newMarkdown, { from: `a/${from.id}.md`, to: `b/${to.id}.md` }) } : {})
+        });
+    }
+    const order = new Map(after.pages.map((page, i) => [page.id, i]));
+    changed.sort((x, y) => order.get(x.id) - order.get(y.id));
+
+    const summary = page => ({ id: page.id, title: page.title });
+    return {
+        repo: after.repo,
+        from: { dir: before.dir, fetchedAt: before.fetchedAt },
+        to: { dir: after.dir, fetchedAt: after.fetchedAt },
+        added: added.map(summary),
+        removed: removed.map(summary),
+        renamed: renames.map(({ from, to }) => ({ from: from.id, to: to.id, title: to.title })),
+        changed,
+        unchanged
+    };
+}
+
+/**
+ * Whether a comparison found any difference
+ */
+function hasChanges(report) {
+    return report.added.length + report.removed.length + report.changed.length > 0;
+}
+
+/**
+ * One line describing the changes within a page
+ */
+function describeChange(page) {
+    const parts = [];
+    if (page.previousId) parts.push(`renamed from \`${page.previousId}\``);
+    if (page.previousTitle) parts.push(`was "${page.previousTitle}"`);
+    const list = keys => keys.map(key => `"${key.replace(/^#+ /, '')}"`).join(', ');
+    if (page.headings.added.length > 0) parts.push(`sections added: ${list(page.headings.added)}`);
+    if (page.headings.removed.length > 0) parts.push(`sections removed: ${list(page.headings.removed)}`);
+    if (page.headings.changed.length > 0) parts.push(`sections changed: ${list(page.headings.changed)}`);
+    for (const change of ['added', 'removed', 'changed']) {
+        const sections = page.diagrams.filter(diagram => diagram.change === change).map(diagram => diagram.section);
+        if (sections.length > 0) {
+            parts.push(`${sections.length} diagram${sections.length > 1 ? 's' : ''} ${change} (${[...new Set(sections)].map(s => `"${s}"`).join(', ')})`);
+        }
+    }
+    if (page.lines.added + page.lines.removed > 0) parts.push(`+${page.lines.added} -${page.lines.removed} lines`);
+    return parts.join('; ');
+}
+
+/**
+ * Changelog entry of a comparison
+ * @param {ReturnType<typeof compareSnapshots>} report
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function changelogEntry(report, date) {
+    const since = report.from.fetchedAt ? ` (downloaded ${report.from.fetchedAt.slice(0, 10)})` : '';
+    let md = `## ${date}\n\nCompared \`${report.from.dir}\`${since} with ${report.to.live ? `the live wiki` : `\`${report.to.dir}\``}.\n`;
+
+    const section = (title, items) => {
+        if (items.length > 0) md += `\n### ${title}\n\n${items.map(item => `- ${item}\n`).join('')}`;
+    };
+    section('Added', report.added.map(page => `${page.title} (\`${page.id}\`)`));
+    section('Removed', report.removed.map(page => `${page.title} (\`${page.id}\`)`));
+    section('Renamed', report.renamed.map(page => `\`${page.from}\` → \`${page.to}\` (${page.title})`));
+    section('Changed', report.changed.filter(page => !page.previousId || page.lines.added + page.lines.removed > 0)
+        .map(page => `${page.title} (\`${page.id}\`): ${describeChange(page)}`));
+    return md;
+}
+
+/**
+ * Add an entry to the top of CHANGELOG.md, creating the file if needed
+ * @param {string} file
+ * @param {ReturnType<typeof compareSnapshots>} report
+ * @param {string} [date] - Default: today
+ */
+async function writeChangelog(file, report, date = new Date().toISOString().slice(0, 10)) {
+    const header = `# ${report.repo} Wiki Changelog\n\n> Changes to the DeepWiki pages of [${report.repo}](https://deepwiki.com/${report.repo}), newest first.\n`;
+    let existing = '';
+    try {
+        existing = await fs.readFile(file, 'utf-8');
+    } catch {
+        // First entry
+    }
+    const firstEntry = existing.search(/^## /m);
+    const entries = firstEntry === -1 ? '' : existing.slice(firstEntry);
+    const top = firstEntry === -1 ? (existing.trim() ? `${existing.trim()}\n` : header) : existing.slice(0, firstEntry).trimEnd() + '\n';
+    await fs.writeFile(file, `${top}\n${changelogEntry(report, date)}${entries ? `\n${entries}` : ''}`, 'utf-8');
+}
+
+/**
+ * Compare a download with another download or with the live wiki
+ *
+ * Without `to`, the live wiki is downloaded into a temporary directory next
+ * to `from` with the same options as a sync (mode, source, filters, links)
+ * and compared with `from`. Page filters apply to both sides.
+ *
+ * @param {object} options - Download options, plus:
+ * @param {string} options.from - Older download
+ * @param {string} [options.to] - Newer download (default: the live wiki)
+ * @param {boolean} [options.unified=false] - Include unified diffs
+ * @param {string|false} [options.changelog] - CHANGELOG.md to update (default:
+ *   in `to`, or in `from` when comparing with the live wiki); false for none
+ * @param {function} [options.onProgress] - Receives a `live` event before the live download
+ * @param {function} [options.onPage] - Page results of the live download
+ * @returns {Promise<object>} The comparison (see compareSnapshots), with `changelog` set when written
+ */
+async function diffWiki(options) {
+    const emit = event => options.onProgress && options.onProgress(event);
+    const before = await loadSnapshot(options.from, options);
+    if (options.repo && options.repo !== before.repo) {
+        throw new Error(`${options.from} is a download of ${before.repo}, not ${options.repo}`);
+    }
+
+    let after;
+    if (options.to) {
+        after = await loadSnapshot(options.to, options);
+        if (after.repo !== before.repo) {
+            throw new Error(`Can't compare ${before.repo} with ${after.repo}`);
+        }
+    } else {
+        emit({ type: 'live', repo: before.repo });
+        // Next to `from`, so links to sibling mirrors and a citation checkout come out the same
+        const outDir = await fs.mkdtemp(path.join(path.dirname(path.resolve(options.from)), '.deepwiki-diff-'));
+        try {
+            const summary = await downloadWiki({
+                ...options,
+                repo: before.repo,
+                outDir,
+                force: true,
+                exports: [],
+                siteGenerators: [],
+                onProgress: null,
+                onPage: options.onPage
+            });
+            if (summary.failures.length > 0) {
+                throw new Error(`Could not fetch ${summary.failures.length} page(s) of the live wiki: ${summary.failures.map(failure => failure.id).join(', ')}`);
+            }
+            after = await loadSnapshot(outDir, options);
+        } finally {
+            await fs.rm(outDir, { recursive: true, force: true });
+        }
+    }
+
+    const report = compareSnapshots(before, after, options);
+    if (!options.to) report.to = { dir: null, live: `https://deepwiki.com/${before.repo}`, fetchedAt: after.fetchedAt };
+
+    if (options.changelog !== false && hasChanges(report)) {
+        const file = options.changelog || path.join(options.to || options.from, CHANGELOG_FILE);
+        await writeChangelog(file, report);
+        report.changelog = file;
+    }
+    return report;
+}
+
+module.exports = {
+    CHANGELOG_FILE,
+    loadSnapshot,
+    diffLines,
+    unifiedDiff,
+    splitSections,
+    comparePage,
+    compareSnapshots,
+    hasChanges,
+    describeChange,
+    changelogEntry,
+    writeChangelog,
+    diffWiki
+};
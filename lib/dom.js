@@ -0,0 +1,233 @@
+/**
+ * Minimal HTML DOM
+ *
+ * A small, forgiving HTML parser that builds just enough of a DOM (nodeType,
+ * tagName, childNodes, parentElement, getAttribute, textContent) to run the
+ * markdown converter outside the browser, e.g. on saved HTML files.
+ */
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening one of these closes an open element of the listed tags first
+const IMPLIED_END_TAGS = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    option: ['option']
+};
+
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+    'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+    larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', times: '×'
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : Number(ref.slice(1));
+            return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        const named = NAMED_ENTITIES[ref.toLowerCase()];
+        return named === undefined ? match : named;
+    });
+}
+
+class TextNode {
+    constructor(text) {
+        this.nodeType = 3;
+        this.textContent = text;
+        this.parentElement = null;
+    }
+}
+
+class Element {
+    constructor(tagName, attributes = {}) {
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = attributes;
+        this.childNodes = [];
+        this.parentElement = null;
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    getAttribute(name) {
+        const value = this.attributes[name.toLowerCase()];
+        return value === undefined ? null : value;
+    }
+
+    appendChild(node) {
+        node.parentElement = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    /**
+     * Find the first descendant matching a simple selector (`tag`, `.class`, `#id` or `tag.class`)
+     * @param {string} selector
+     * @returns {Element|null}
+     */
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    /**
+     * Find all descendants matching a simple selector, in document order
+     * @param {string} selector
+     * @returns {Element[]}
+     */
+    querySelectorAll(selector) {
+        const match = matcher(selector);
+        const found = [];
+        const walk = el => {
+            for (const child of el.children) {
+                if (match(child)) found.push(child);
+                walk(child);
+            }
+        };
+        walk(this);
+        return found;
+    }
+}
+
+/**
+ * Compile a simple selector into a predicate
+ */
+function matcher(selector) {
+    const m = selector.trim().match(/^([a-z][a-z0-9-]*)?(?:#([\w-]+))?((?:\.[\w-]+)*)$/i);
+    if (!m) throw new Error(`Unsupported selector: ${selector}`);
+    const tag = m[1] ? m[1].toUpperCase() : null;
+    const id = m[2] || null;
+    const classes = m[3] ? m[3].split('.').filter(Boolean) : [];
+
+    return el => {
+        if (tag && el.tagName !== tag) return false;
+        if (id && el.id !== id) return false;
+        const own = el.className.split(/\s+/);
+        return classes.every(c => own.includes(c));
+    };
+}
+
+/**
+ * Parse an attribute string into a lowercase-keyed map
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let m;
+    while ((m = pattern.exec(source)) !== null) {
+        const value = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '';
+        attributes[m[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attributes;
+}
+
+/**
+ * Parse an HTML document or fragment
+ * @param {string} html
+ * @returns {Element} A synthetic root element holding the parsed nodes
+ */
+function parseHTML(html) {
+    const root = new Element('#document');
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const tokenPattern = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    // Lower-cased once, for finding the end of raw text elements; ASCII only, so indices stay the same
+    let lower = null;
+
+    let pos = 0;
+    let m;
+    while ((m = tokenPattern.exec(html)) !== null) {
+        if (m.index > pos) {
+            current().appendChild(new TextNode(decodeEntities(html.substring(pos, m.index))));
+        }
+        pos = tokenPattern.lastIndex;
+
+        if (m[1]) {
+            // Closing tag: pop back to the matching element, ignore strays
+            const tag = m[1].toUpperCase();
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].tagName === tag) {
+                    stack.length = i;
+                    break;
+                }
+            }
+            continue;
+        }
+        if (!m[2]) continue; // Comment or doctype
+
+        const tag = m[2].toLowerCase();
+        const attrSource = m[3] || '';
+
+        const implied = IMPLIED_END_TAGS[tag] || (BLOCK_TAGS.has(tag) ? ['p'] : []);
+        if (implied.length > 0 && implied.includes(current().tagName.toLowerCase())) {
+            stack.pop();
+        }
+
+        const el = current().appendChild(new Element(tag, parseAttributes(attrSource.replace(/\/\s*$/, ''))));
+
+        if (RAW_TEXT_TAGS.has(tag)) {
+            if (lower === null) lower = html.replace(/[A-Z]+/g, upper => upper.toLowerCase());
+            const end = lower.indexOf(`</${tag}`, pos);
+            const stop = end === -1 ? html.length : end;
+            if (stop > pos) {
+                const text = html.substring(pos, stop);
+                el.appendChild(new TextNode(tag === 'title' || tag === 'textarea' ? decodeEntities(text) : text));
+            }
+            const close = html.indexOf('>', stop);
+            pos = tokenPattern.lastIndex = close === -1 ? html.length : close + 1;
+            continue;
+        }
+
+        if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attrSource)) {
+            stack.push(el);
+        }
+    }
+
+    if (pos < html.length) {
+        current().appendChild(new TextNode(decodeEntities(html.substring(pos))));
+    }
+    return root;
+}
+
+module.exports = {
+    parseHTML,
+    decodeEntities,
+    Element,
+    TextNode
+};
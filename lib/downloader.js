@@ -0,0 +1,595 @@
+/**
+ * Wiki Downloader
+ *
+ * Programmatic API behind the `deepwiki-download` CLI. `downloadWiki` discovers
+ * a wiki's pages, downloads them through a worker pool (RSC payload first,
+ * Puppeteer rendering as fallback, or the DeepWiki MCP server) and writes
+ * markdown, index, manifest and mermaid report into the output directory.
+ */
+
+const puppeteer = require('puppeteer');
+const fs = require('fs').promises;
+const path = require('path');
+const { discoverPages, discoverPagesFromHTML, selectPages } = require('./structure');
+const { fetchRawHTML, extractPageMarkdown } = require('./rsc');
+const { convertElement } = require('./html-to-markdown');
+const {
+    MANIFEST_FILE, hashContent, loadManifest, saveManifest, beginRun, completeRun, isUnchanged, findRemovedPages, findMirrors
+} = require('./manifest');
+const { runPool, withRetry } = require('./pool');
+const {
+    extractMermaidBlocks, extractMermaidFromHTML, fillDiagrams, removeMermaidCss, pageReport, addParseResults, addRenderResults, buildReport
+} = require('./mermaid');
+const { finalizePage, fixPageAnchors, createIndex, stripFrontMatter } = require('./output');
+const { DEFAULT_MCP_ENDPOINT, fetchWikiFromMcp } = require('./mcp');
+const { writeExports } = require('./export');
+const { DEFAULT_CHUNK_SIZE } = require('./chunks');
+const { writeSiteConfigs } = require('./site-config');
+const { CITATIONS_FILE, BY_SOURCE_FILE, writeCitationIndex } = require('./citations');
+const { createMermaidParser, renderDiagramImages, removeDiagramAssets } = require('./diagrams');
+const { createAssetStore, pruneAssets } = require('./assets');
+
+const DEFAULT_OPTIONS = {
+    repo: null,
+    outDir: null,
+    mode: 'auto',
+    source: 'scrape',
+    mcpEndpoint: DEFAULT_MCP_ENDPOINT,
+    pages: [],
+    exclude: [],
+    force: false,
+    concurrency: 3,
+    retries: 2,
+    timeout: 30000,
+    selectorTimeout: 15000,
+    settleDelay: 2000,
+    delay: 500,
+    viewport: { width: 1280, height: 800 },
+    headful: false,
+    launchArgs: ['--no-sandbox', '--disable-setuid-sandbox'],
+    diagramImages: [],
+    diagramPlacement: 'link',
+    localizeAssets: false,
+    citationCommit: null,
+    citationCheckout: null,
+    frontMatter: false,
+    siteGenerators: [],
+    siteDir: null,
+    exports: [],
+    chunkSize: DEFAULT_CHUNK_SIZE
+};
+
+/**
+ * One browser shared by everything in a run, launched only once something needs it
+ *
+ * A browser passed in as `options.browser`, or the lazy browser of a batch
+ * passed in as `options.getBrowser`, is used as is and left open.
+ *
+ * @param {object} options - Downloader options (browser, getBrowser, headful, viewport, launchArgs)
+ * @param {() => void} [onLaunch] - Called when a browser is about to be launched
+ * @returns {{get: () => Promise<import('puppeteer').Browser>, close: () => Promise<void>}}
+ */
+function lazyBrowser(options, onLaunch) {
+    if (options.getBrowser) return { get: options.getBrowser, async close() {} };
+    let browserPromise = options.browser ? Promise.resolve(options.browser) : null;
+    return {
+        get() {
+            if (!browserPromise) {
+                if (onLaunch) onLaunch();
+                browserPromise = puppeteer.launch({
+                    headless: options.headful ? false : 'new',
+                    defaultViewport: options.viewport,
+                    args: options.launchArgs
+                });
+            }
+            return browserPromise;
+        },
+        async close() {
+            if (!browserPromise || options.browser) return;
+            // A failed launch was already reported to whatever asked for the browser
+            const browser = await browserPromise.catch(() => null);
+            if (browser) await browser.close();
+        }
+    };
+}
+
+/**
+ * Extract markdown content from a rendered DeepWiki page
+ *
+ * Rendered mermaid diagrams come back as %%MERMAID_PLACEHOLDER:<svg id>%% lines
+ * (replacement done in renderPage).
+ */
+async function extractMarkdown(page) {
+    // DeepWiki uses .prose class for main content
+    return page.evaluate(`(${convertElement.toString()})(document.querySelector('.prose'))`);
+}
+
+/**
+ * Get a page's markdown from its RSC payload over plain HTTP
+ * @returns {Promise<{markdown: string, diagrams: object, sources: string[]}|null>} null when the payload can't be parsed
+ */
+async function fetchPageFromPayload(url, pageInfo, options) {
+    const rawHTML = await fetchRawHTML(url, { timeout: options.timeout });
+    const markdown = extractPageMarkdown(rawHTML, pageInfo);
+    if (!markdown) return null;
+
+    // Nothing rendered, so there are no SVGs to match against
+    const sources = extractMermaidBlocks(markdown);
+    return { markdown, diagrams: pageReport(pageInfo.id, sources, null, null), sources };
+}
+
+/**
+ * Get a page's markdown by rendering it in Puppeteer
+ *
+ * First pass renders the page and converts the DOM; second pass loads the raw
+ * HTML to recover the page's mermaid sources, which are then matched to the
+ * rendered SVGs by their labels.
+ *
+ * @returns {Promise<{markdown: string, diagrams: object, sources: string[]}>}
+ */
+async function renderPage(browser, url, pageInfo, options) {
+    // First pass: Get rendered page to collect mermaid SVGs and their labels
+    let svgs;
+    let markdown;
+    const renderedPage = await browser.newPage();
+    try {
+        await renderedPage.setViewport(options.viewport);
+        await renderedPage.goto(url, { waitUntil: 'networkidle2', timeout: options.timeout });
+        await renderedPage.waitForSelector('.prose', { timeout: options.selectorTimeout });
+        await new Promise(r => setTimeout(r, options.settleDelay));
+
+        svgs = await renderedPage.evaluate(() => {
+            const prose = document.querySelector('.prose');
+            if (!prose) return [];
+
+            return Array.from(prose.querySelectorAll('svg[id^="mermaid"]')).map(svg => ({
+                id: svg.id,
+                labels: Array.from(svg.querySelectorAll('.nodeLabel, .edgeLabel, .cluster-label, text'))
+                    .map(el => el.textContent.trim())
+                    .filter(Boolean)
+            }));
+        });
+
+        // Extract markdown content
+        markdown = await extractMarkdown(renderedPage);
+    } finally {
+        await renderedPage.close();
+    }
+
+    // Second pass: Get raw HTML to extract mermaid source code
+    let sources = [];
+    let match = null;
+    if (svgs.length > 0 || /%%MERMAID_PLACEHOLDER/.test(markdown)) {
+        const rawPage = await browser.newPage();
+        let rawHTML;
+        try {
+            await rawPage.setJavaScriptEnabled(false);
+            await rawPage.goto(url, { waitUntil: 'domcontentloaded', timeout: options.timeout });
+            rawHTML = await rawPage.content();
+        } finally {
+            await rawPage.close();
+        }
+
+        const extracted = extractMermaidFromHTML(rawHTML, pageInfo);
+        ({ markdown, match } = fillDiagrams(markdown, svgs, extracted));
+        sources = extracted || [];
+    }
+
+    // Clean up any mermaid CSS that leaked through
+    markdown = removeMermaidCss(markdown);
+
+    return { markdown, diagrams: pageReport(pageInfo.id, sources, match, svgs.length), sources };
+}
+
+/**
+ * Check whether a file exists
+ */
+async function fileExists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Load the per-page entries of the previous mermaid report, so pages skipped
+ * as unchanged keep their entry
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadPreviousReports(outputDir) {
+    try {
+        const report = JSON.parse(await fs.readFile(path.join(outputDir, 'mermaid-report.json'), 'utf-8'));
+        return new Map(report.pages.map(page => [page.id, page]));
+    } catch {
+        return new Map();
+    }
+}
+
+/**
+ * Link rewriting options of a run: sibling mirrors and citation targets
+ * @param {string} outDir
+ * @param {string} repo - owner/repo
+ * @param {object} options - Downloader options (citationCommit, citationCheckout)
+ * @returns {Promise<{mirrors: Map<string, string>, commit: string|null, checkout: string|null}>}
+ */
+async function linkOptions(outDir, repo, options) {
+    const checkout = options.citationCheckout
+        ? path.relative(outDir, path.resolve(options.citationCheckout)).split(path.sep).join('/') || '.'
+        : null;
+    return { mirrors: await findMirrors(outDir, repo), commit: options.citationCommit || null, checkout };
+}
+
+/**
+ * Turn a page's extracted markdown into its final file content
+ *
+ * Localizes images and renders diagram images when those options are on,
+ * then adds title, relative links, source reference and, with `frontMatter`,
+ * YAML front matter.
+ *
+ * @param {string} markdown - Extracted page markdown
+ * @param {object} diagrams - Page entry of the mermaid report
+ * @param {object} pageInfo
+ * @param {object} ctx - options, url, fetchedAt, getBrowser, assets (asset store or null), links (from linkOptions)
+ * @returns {Promise<{markdown: string, diagrams: object, assets: string[], assetFailures: {url: string, error: string}[]}>}
+ */
+async function preparePage(markdown, diagrams, pageInfo, ctx) {
+    const { options, url } = ctx;
+
+    // Images in assets/, named by content hash
+    let assets = [];
+    let assetFailures = [];
+    if (ctx.assets) {
+        const localized = await ctx.assets.localize(markdown, url, pageInfo.id);
+        ({ markdown, failures: assetFailures } = localized);
+        assets = localized.files;
+    }
+
+    // Diagram images in assets/, next to the mermaid sources
+    if (options.diagramImages.length > 0) {
+        const rendered = await renderDiagramImages(markdown, pageInfo.id, {
+            outDir: options.outDir,
+            getBrowser: ctx.getBrowser,
+            formats: options.diagramImages,
+            placement: options.diagramPlacement,
+            timeout: options.timeout
+        });
+        markdown = rendered.markdown;
+        diagrams = addRenderResults(diagrams, rendered.images);
+    }
+
+    markdown = finalizePage(markdown, pageInfo, {
+        repo: options.repo,
+        url,
+        links: ctx.links,
+        frontMatter: options.frontMatter ? { fetchedAt: ctx.fetchedAt, diagrams: diagrams.sourceCount } : null
+    });
+    return { markdown, diagrams, assets, assetFailures };
+}
+
+// Manifest fields of pageSettings; a page written with other values is redone
+const PAGE_SETTINGS = ['diagramImages', 'diagramPlacement', 'citationCommit', 'citationCheckout'];
+
+/**
+ * Output options a page file was written with, as recorded in its manifest entry
+ *
+ * Only options that are in use are included, so entries written before an
+ * option existed still match while it is off.
+ *
+ * @param {object} options - Downloader options
+ * @param {object} links - Link rewriting options of the run (from linkOptions)
+ * @returns {object}
+ */
+function pageSettings(options, links) {
+    const settings = {};
+    if (options.diagramImages.length > 0) {
+        settings.diagramImages = [...options.diagramImages].sort();
+        settings.diagramPlacement = options.diagramPlacement;
+    }
+    if (links.commit) settings.citationCommit = links.commit;
+    if (links.checkout) settings.citationCheckout = links.checkout;
+    return settings;
+}
+
+/**
+ * Download one page into the output directory and record it in the manifest
+ * @param {object} pageInfo - Entry of the page hierarchy
+ * @param {object} ctx - Shared run state (options, manifest, resumedFrom, getBrowser, previousReports, mcpContents, assets, links, parser)
+ * @returns {Promise<{status: string, source: string|null, markdown: string|null, diagrams: object|null}>}
+ */
+async function syncPage(pageInfo, ctx) {
+    const { options } = ctx;
+    const { mode, force } = options;
+    const url = `https://deepwiki.com/${options.repo}/${pageInfo.id}`;
+    const fileName = `${pageInfo.id}.md`;
+    const outputFile = path.join(options.outDir, fileName);
+    const previous = ctx.manifest.pages[pageInfo.id];
+
+    // Contents already read from the MCP server take the place of the payload
+    const mcpMarkdown = ctx.mcpContents && ctx.mcpContents.get(pageInfo.id);
+    let payload = null;
+    if (mcpMarkdown) {
+        const sources = extractMermaidBlocks(mcpMarkdown);
+        payload = { markdown: mcpMarkdown, diagrams: pageReport(pageInfo.id, sources, null, null), sources };
+    } else if (mode !== 'render' || (previous && !force)) {
+        // The payload is cheap to fetch, so even render mode peeks at it to detect changes
+        try {
+            payload = await fetchPageFromPayload(url, pageInfo, options);
+        } catch (error) {
+            if (mode === 'payload') throw error;
+        }
+    }
+    const hash = payload ? hashContent(payload.markdown) : null;
+
+    // Pages written with other output options are redone rather than skipped:
+    // images not localized yet, front matter turned on or off, other diagram images or citation targets
+    const settings = pageSettings(options, ctx.links);
+    const outputChanged = previous && ((ctx.assets && !previous.assets) || Boolean(options.frontMatter) !== Boolean(previous.frontMatter) ||
+        PAGE_SETTINGS.some(key => JSON.stringify(settings[key]) !== JSON.stringify(previous[key])));
+    if (!force && !outputChanged && isUnchanged(previous, { hash, resumedFrom: ctx.resumedFrom, fileExists: await fileExists(outputFile) })) {
+        return { status: 'unchanged', source: null, markdown: null, diagrams: ctx.previousReports.get(pageInfo.id) || null };
+    }
+
+    let result = mode === 'render' && !mcpMarkdown ? null : payload;
+    let source = mcpMarkdown ? 'mcp' : 'payload';
+    if (!result && mode === 'payload') {
+        throw new Error('Could not parse page markdown from payload');
+    }
+    if (!result) {
+        source = 'rendered';
+        result = await renderPage(await ctx.getBrowser(), url, pageInfo, options);
+    }
+
+    let { markdown, diagrams } = result;
+    const parseErrors = ctx.parser && result.sources.length > 0 ? await ctx.parser.parse(result.sources) : null;
+    if (parseErrors) diagrams = addParseResults(diagrams, parseErrors);
+
+    if (!markdown || markdown.length < 100) {
+        throw new Error('Content too short or empty');
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const prepared = await preparePage(markdown, diagrams, pageInfo, { ...ctx, url, fetchedAt });
+    ({ markdown, diagrams } = prepared);
+
+    // Save; the front matter's fetch time doesn't make a page count as updated
+    const contentHash = hashContent(stripFrontMatter(markdown));
+    const status = !previous ? 'added' : previous.contentHash === contentHash ? 'unchanged' : 'updated';
+    await fs.writeFile(outputFile, markdown, 'utf-8');
+
+    ctx.manifest.pages[pageInfo.id] = {
+        id: pageInfo.id,
+        title: pageInfo.title,
+        url,
+        file: fileName,
+        source,
+        fetchedAt,
+        hash: hash || contentHash,
+        contentHash,
+        diagrams: diagrams.sourceCount,
+        ...(ctx.assets ? { assets: prepared.assets } : {}),
+        ...(options.frontMatter ? { frontMatter: true } : {}),
+        ...settings
+    };
+    await saveManifest(options.outDir, ctx.manifest);
+
+    return { status, source, markdown, diagrams, assetFailures: prepared.assetFailures };
+}
+
+/**
+ * Download a DeepWiki wiki to a local folder
+ *
+ * Progress is reported through `onProgress` events, each with a `type`:
+ * `start`, `launch`, `mcp`, `fallback`, `discovered`, `resume`, `retry`,
+ * `removed`, `written` and `done`. Every finished page (written, unchanged or
+ * failed) is reported once through `onPage`.
+ *
+ * With `source: 'mcp'` the structure and contents come from the DeepWiki MCP
+ * server; if it can't be reached the run falls back to scraping, and pages it
+ * returned no contents for are scraped individually.
+ *
+ * @param {object} options
+ * @param {string} options.repo - owner/repo
+ * @param {string} [options.outDir] - Default: ./deepwiki-<owner>-<repo>
+ * @param {'auto'|'payload'|'render'} [options.mode='auto'] - Payload with render fallback, payload only, or render only
+ * @param {'scrape'|'mcp'} [options.source='scrape'] - Scrape deepwiki.com or read from the MCP server
+ * @param {string} [options.mcpEndpoint] - MCP server URL (streamable HTTP)
+ * @param {string[]} [options.pages] - Only pages matching these ids, globs or section prefixes
+ * @param {string[]} [options.exclude] - Skip pages matching these patterns
+ * @param {boolean} [options.force=false] - Re-download pages the manifest lists as unchanged
+ * @param {number} [options.concurrency=3]
+ * @param {number} [options.retries=2]
+ * @param {number} [options.timeout=30000] - Navigation and request timeout in ms
+ * @param {number} [options.selectorTimeout=15000] - Wait for page content in ms
+ * @param {number} [options.settleDelay=2000] - Wait for diagrams to render in ms
+ * @param {number} [options.delay=500] - Pause after each page per worker in ms
+ * @param {{width: number, height: number}} [options.viewport]
+ * @param {boolean} [options.headful=false]
+ * @param {string[]} [options.launchArgs]
+ * @param {string[]} [options.diagramImages] - Render diagrams to assets/<page-id>-<n>.svg / .png ('svg', 'png')
+ * @param {'link'|'replace'} [options.diagramPlacement='link'] - Image link before the fence, or in its place with the source kept in <details>
+ * @param {boolean} [options.localizeAssets=false] - Download referenced images into assets/ and link the local copies
+ * @param {string} [options.citationCommit] - Commit of the GitHub links made from source citations (default: the one DeepWiki linked, else HEAD)
+ * @param {string} [options.citationCheckout] - Local checkout to link source citations into instead of GitHub
+ * @param {boolean} [options.frontMatter=false] - Start every page with YAML front matter (title, section, parent, order, source, fetch time, diagrams)
+ * @param {string[]} [options.siteGenerators] - Site navigation to generate: 'mkdocs', 'docusaurus' (turns on frontMatter), 'vitepress'
+ * @param {string} [options.siteDir] - Site root for mkdocs.yml and sidebars.js (default: parent of outDir)
+ * @param {string[]} [options.exports] - Extra outputs in export/: 'markdown' (one combined file), 'html' (static site), 'pdf', 'jsonl' (chunks for retrieval)
+ * @param {number} [options.chunkSize=2000] - Characters per 'jsonl' chunk
+ * @param {import('puppeteer').Browser} [options.browser] - Existing browser to reuse; it is left open
+ * @param {() => Promise<import('puppeteer').Browser>} [options.getBrowser] - Shared browser, launched on first use by its owner (see lazyBrowser)
+ * @param {(event: object) => void} [options.onProgress]
+ * @param {(result: object) => void} [options.onPage]
+ * @returns {Promise<{repo: string, outDir: string, pages: number, counts: object, failures: {id: string, error: string}[], diagrams: object, assetFailures: {url: string, error: string, pages: string[]}[], files: string[]}>}
+ */
+async function downloadWiki(options) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    if (!options.repo) throw new Error('downloadWiki: options.repo is required');
+    options.outDir = path.resolve(options.outDir || `./deepwiki-${options.repo.replace('/', '-')}`);
+    // Docusaurus sidebars refer to pages by their front matter ids
+    if (options.siteGenerators.includes('docusaurus')) options.frontMatter = true;
+
+    const { repo, outDir, mode, retries } = options;
+    const baseUrl = `https://deepwiki.com/${repo}`;
+    const emit = event => options.onProgress && options.onProgress(event);
+    const report = result => options.onPage && options.onPage(result);
+
+    emit({ type: 'start', repo, outDir, mode, source: options.source, concurrency: options.concurrency, retries });
+
+    // Create output directory
+    await fs.mkdir(outDir, { recursive: true });
+
+    // One browser shared by all workers, launched only once something needs rendering
+    const browser = lazyBrowser(options, () => emit({ type: 'launch' }));
+    const getBrowser = browser.get;
+    let parser = null;
+
+    try {
+        // Structure and contents from the MCP server, if requested and reachable
+        let pages = [];
+        let mcpContents = null;
+        if (options.source === 'mcp') {
+            emit({ type: 'mcp', endpoint: options.mcpEndpoint });
+            try {
+                ({ pages, contents: mcpContents } = await withRetry(() => fetchWikiFromMcp(repo, options), { retries }));
+            } catch (error) {
+                emit({ type: 'fallback', error: error.message });
+            }
+        }
+
+        // Otherwise discover the page hierarchy from the wiki sidebar
+        if (pages.length === 0 && mode !== 'render') {
+            try {
+                const rawHTML = await withRetry(() => fetchRawHTML(baseUrl, { timeout: options.timeout }), { retries });
+                pages = discoverPagesFromHTML(rawHTML, repo);
+            } catch (error) {
+                if (mode === 'payload') throw error;
+            }
+        }
+        if (pages.length === 0) {
+            if (mode === 'payload') throw new Error(`No wiki pages found at ${baseUrl}`);
+            const launched = await getBrowser();
+            pages = await withRetry(() => discoverPages(launched, repo, options), { retries });
+        }
+
+        const selected = selectPages(pages, options.pages, options.exclude);
+        emit({ type: 'discovered', total: pages.length, selected: selected.length, pages: selected });
+
+        // Previous run state
+        const manifest = await loadManifest(outDir, repo);
+        const resumedFrom = beginRun(manifest);
+        if (resumedFrom) emit({ type: 'resume', from: resumedFrom });
+        const assets = options.localizeAssets ? createAssetStore({ outDir, timeout: options.timeout, retries }) : null;
+        const links = await linkOptions(outDir, repo, options);
+        // Without a browser, diagrams keep pageReport's heuristic check
+        parser = mode === 'payload' ? null : createMermaidParser(getBrowser, { timeout: options.timeout });
+        const ctx = { options, manifest, resumedFrom, getBrowser, mcpContents, assets, links, parser, previousReports: await loadPreviousReports(outDir) };
+
+        // Download pages through the worker pool
+        const counts = { added: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 };
+        const diagramReports = [];
+        const failures = [];
+        let done = 0;
+
+        await runPool(selected, options.concurrency, async (pageInfo) => {
+            const base = { id: pageInfo.id, title: pageInfo.title, total: selected.length };
+            try {
+                const result = await withRetry(() => syncPage(pageInfo, ctx), {
+                    retries,
+                    onRetry: (error, attempt, delay) => {
+                        emit({ type: 'retry', id: pageInfo.id, title: pageInfo.title, error: error.message, attempt, retries, delay });
+                    }
+                });
+
+                counts[result.status]++;
+                if (result.diagrams) diagramReports.push(result.diagrams);
+                report({
+                    ...base,
+                    index: ++done,
+                    status: result.status,
+                    source: result.source,
+                    bytes: result.markdown ? Buffer.byteLength(result.markdown) : null,
+                    diagrams: result.diagrams,
+                    assetFailures: result.assetFailures || []
+                });
+            } catch (error) {
+                counts.failed++;
+                failures.push({ id: pageInfo.id, error: error.message });
+                report({ ...base, index: ++done, status: 'failed', error: error.message });
+            }
+
+            // Rate limiting
+            await new Promise(r => setTimeout(r, options.delay));
+        });
+
+        // Pages that disappeared upstream (pages merely filtered out are kept)
+        for (const entry of findRemovedPages(manifest, pages)) {
+            await fs.rm(path.join(outDir, entry.file), { force: true });
+            await removeDiagramAssets(outDir, entry.id);
+            delete manifest.pages[entry.id];
+            counts.removed++;
+            emit({ type: 'removed', id: entry.id, file: entry.file });
+        }
+        if (failures.length === 0) completeRun(manifest);
+        await saveManifest(outDir, manifest);
+
+        // Localized images no page uses anymore
+        if (assets) await pruneAssets(outDir, Object.values(manifest.pages).flatMap(entry => entry.assets || []));
+
+        // Create index of every page that has a file, including ones downloaded by earlier runs
+        const indexed = pages.filter(page => manifest.pages[page.id]);
+        await fixPageAnchors(outDir, indexed);
+
+        // Source files cited by each page, and the pages citing each file
+        const cited = await writeCitationIndex(outDir, repo, indexed);
+        emit({ type: 'written', file: CITATIONS_FILE, summary: cited });
+        emit({ type: 'written', file: BY_SOURCE_FILE });
+        await fs.writeFile(path.join(outDir, 'index.md'), createIndex(repo, indexed, options), 'utf-8');
+        emit({ type: 'written', file: 'index.md' });
+
+        // Navigation for MkDocs, Docusaurus and VitePress
+        const site = await writeSiteConfigs(outDir, repo, indexed, options.siteGenerators, { siteDir: options.siteDir });
+        for (const file of site.written) emit({ type: 'written', file, kind: 'site' });
+        for (const file of site.skipped) emit({ type: 'skipped', file });
+
+        // Combined Markdown, HTML site and PDF
+        const exported = await writeExports(outDir, repo, indexed, options.exports, { getBrowser, timeout: options.timeout, chunkSize: options.chunkSize });
+        for (const file of exported) emit({ type: 'written', file });
+
+        // Mermaid matching and validation report, in page order
+        const order = new Map(pages.map((page, i) => [page.id, i]));
+        diagramReports.sort((a, b) => order.get(a.id) - order.get(b.id));
+        const diagramReport = buildReport(repo, diagramReports);
+        await fs.writeFile(path.join(outDir, 'mermaid-report.json'), JSON.stringify(diagramReport, null, 2), 'utf-8');
+        emit({ type: 'written', file: 'mermaid-report.json', summary: diagramReport.summary });
+
+        const summary = {
+            repo,
+            outDir,
+            pages: selected.length,
+            counts,
+            failures,
+            diagrams: diagramReport.summary,
+            assetFailures: assets ? assets.failures() : [],
+            files: ['index.md', MANIFEST_FILE, 'mermaid-report.json', CITATIONS_FILE, BY_SOURCE_FILE, ...site.written, ...exported]
+        };
+        emit({ type: 'done', summary });
+        return summary;
+    } finally {
+        if (parser) await parser.close();
+        // A browser passed in by the caller stays open for them to reuse
+        await browser.close();
+    }
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    lazyBrowser,
+    linkOptions,
+    preparePage,
+    downloadWiki,
+    extractMarkdown,
+    fetchPageFromPayload,
+    renderPage
+};
@@ -0,0 +1,338 @@
+/**
+ * Exports
+ *
+ * Builds single-file and printable versions of a downloaded wiki from the same
+ * page list and page files: one combined Markdown document, a static HTML site
+ * with sidebar navigation, a PDF rendered in Puppeteer, and JSONL chunks for
+ * retrieval pipelines. Everything goes into the `export/` folder of the output
+ * directory.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { escapeHtml, createSlugger, inlineText, markdownToHtml } = require('./markdown-to-html');
+const { ASSETS_DIR, mermaidScriptPath, removeDiagramImages } = require('./diagrams');
+const { mapOutsideFences } = require('./links');
+const { loadDocuments } = require('./output');
+const { buildChunks } = require('./chunks');
+
+const EXPORT_DIR = 'export';
+const EXPORT_FORMATS = ['markdown', 'html', 'pdf', 'jsonl'];
+
+const STYLE = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; }
+a { color: #0969da; text-decoration: none; }
+a:hover { text-decoration: underline; }
+code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.875em; }
+:not(pre) > code { background: #eff1f3; padding: 0.15em 0.35em; border-radius: 4px; }
+pre { background: #f6f8fa; padding: 12px 16px; border-radius: 6px; overflow: auto; line-height: 1.45; }
+pre.mermaid { background: none; text-align: center; }
+table { border-collapse: collapse; margin: 1em 0; display: block; overflow: auto; }
+th, td { border: 1px solid #d0d7de; padding: 6px 13px; }
+tr:nth-child(2n) { background: #f6f8fa; }
+blockquote { margin: 0; padding: 0 1em; color: #59636e; border-left: 4px solid #d0d7de; }
+img { max-width: 100%; }
+h1, h2 { border-bottom: 1px solid #d8dee4; padding-bottom: 0.3em; }
+details { margin: 1em 0; }
+summary { cursor: pointer; font-weight: 600; }
+.sidebar { position: fixed; top: 0; bottom: 0; left: 0; width: 280px; overflow-y: auto; padding: 20px 16px; background: #f6f8fa; border-right: 1px solid #d0d7de; font-size: 14px; }
+.sidebar .home { display: block; font-weight: 600; margin-bottom: 12px; color: #1f2328; }
+.sidebar ul { list-style: none; margin: 0; padding: 0; }
+.sidebar li a { display: block; padding: 3px 8px; border-radius: 6px; color: #1f2328; }
+.sidebar li a.active { background: #ddf4ff; color: #0969da; font-weight: 600; }
+.content { margin-left: 280px; padding: 32px 48px; max-width: 1012px; }
+@media (max-width: 800px) { .sidebar { position: static; width: auto; border-right: 0; } .content { margin-left: 0; padding: 16px; } }
+@media print { .toc { page-break-after: always; } .page { page-break-before: always; } pre, table, pre.mermaid { page-break-inside: avoid; } }
+`;
+
+/**
+ * Target of a relative link to another page file, e.g. `./2-core.md#setup`
+ * @returns {{id: string, fragment: string}|null}
+ */
+function pageLinkTarget(href) {
+    const m = href.match(/^\.\/([^/#?]+)\.md(?:#(.*))?$/);
+    return m ? { id: m[1], fragment: m[2] || '' } : null;
+}
+
+/**
+ * Build one Markdown document of all pages in page order
+ *
+ * Page headings move down one level under the document title, links between
+ * page files become in-document anchors, and asset paths point back to the
+ * output directory. Headings repeat across pages, so every heading gets an
+ * explicit `<page-id>--<slug>` anchor, and #fragments link to those.
+ *
+ * @param {string} repo - owner/repo
+ * @param {{page: object, markdown: string}[]} documents
+ * @returns {string}
+ */
+function combineMarkdown(repo, documents) {
+    const included = new Set(documents.map(doc => doc.page.id));
+    let md = `# ${repo} Documentation
+
+> Exported from [DeepWiki](https://deepwiki.com/${repo})
+
+## Table of Contents
+
+`;
+    for (const { page } of documents) {
+        md += `${'  '.repeat(page.depth)}- [${page.title}](#${page.id})\n`;
+    }
+
+    for (const { page, markdown } of documents) {
+        const anchor = fragment => `${page.id}--${fragment}`;
+        const slug = createSlugger();
+        const body = mapOutsideFences(markdown, text => text
+            .replace(/(<a\s+id=")([^"]+)(")/g, (match, open, id, close) => `${open}${anchor(id)}${close}`)
+            .replace(/^(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/gm, (line, level, title) =>
+                `<a id="${anchor(slug(inlineText(title)))}"></a>\n\n${level.length < 6 ? '#' : ''}${line}`)
+            .replace(/\]\((\.\/[^)\s]+\.md(?:#[^)\s]*)?|#[^)\s]+)\)/g, (match, href) => {
+                if (href.startsWith('#')) return `](#${anchor(href.slice(1))})`;
+                const target = pageLinkTarget(href);
+                if (!target || !included.has(target.id)) return match;
+                return `](#${target.fragment ? `${target.id}--${target.fragment}` : target.id})`;
+            })
+            .replace(new RegExp(`(\\]\\(|\\ssrc=["'])\\./${ASSETS_DIR}/`, 'g'), `$1../${ASSETS_DIR}/`));
+        md += `\n<a id="${page.id}"></a>\n\n${body.trim()}\n`;
+    }
+    return md;
+}
+
+/**
+ * Wrap a page body in the site layout
+ */
+function sitePage({ repo, title, body, nav, hasDiagrams }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ${escapeHtml(repo)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<nav class="sidebar">
+<a class="home" href="index.html">${escapeHtml(repo)}</a>
+${nav}
+</nav>
+<main class="content">
+${body}
+</main>
+${hasDiagrams ? '<script src="assets/mermaid.min.js"></script>\n<script>mermaid.initialize({ startOnLoad: true });</script>\n' : ''}</body>
+</html>
+`;
+}
+
+/**
+ * Build a static HTML site: index.html plus one page per document, each with
+ * the full page list as sidebar
+ * @param {string} repo - owner/repo
+ * @param {{page: object, markdown: string}[]} documents
+ * @returns {Map<string, string>} File name -> HTML
+ */
+function buildSite(repo, documents) {
+    const included = new Set(documents.map(doc => doc.page.id));
+    const resolveLink = href => {
+        if (href === './index.md') return 'index.html';
+        const target = pageLinkTarget(href);
+        if (!target || !included.has(target.id)) return href;
+        return `${target.id}.html${target.fragment ? `#${target.fragment}` : ''}`;
+    };
+    const navFor = current => '<ul>\n' + documents.map(({ page }) =>
+        `<li><a href="${page.id}.html" style="padding-left: ${8 + page.depth * 16}px"${page.id === current ? ' class="active"' : ''}>${escapeHtml(page.title)}</a></li>`
+    ).join('\n') + '\n</ul>';
+
+    const files = new Map();
+    const toc = documents.map(({ page }) => `${'  '.repeat(page.depth)}- [${page.title}](./${page.id}.md)`).join('\n');
+    files.set('index.html', sitePage({
+        repo,
+        title: 'Documentation',
+        body: markdownToHtml(`# ${repo} Documentation\n\n> Exported from [DeepWiki](https://deepwiki.com/${repo})\n\n${toc}\n`, { resolveLink }),
+        nav: navFor(null),
+        hasDiagrams: false
+    }));
+    for (const { page, markdown } of documents) {
+        files.set(`${page.id}.html`, sitePage({
+            repo,
+            title: page.title,
+            // mermaid.js draws the diagrams, so rendered diagram images would only repeat them
+            body: markdownToHtml(removeDiagramImages(markdown), { resolveLink }),
+            nav: navFor(page.id),
+            hasDiagrams: /^ {0,3}(`{3,}|~{3,})\s*mermaid\b/m.test(markdown)
+        }));
+    }
+    return files;
+}
+
+/**
+ * Build the single HTML document that gets printed to PDF: title, table of
+ * contents, then every page starting on a new sheet
+ *
+ * Heading ids are prefixed with the page id so links between pages resolve
+ * inside the one document. Diagrams are drawn by mermaid.js when printing.
+ *
+ * @param {string} repo - owner/repo
+ * @param {{page: object, markdown: string}[]} documents
+ * @returns {string}
+ */
+function buildPrintDocument(repo, documents) {
+    const included = new Set(documents.map(doc => doc.page.id));
+    const toc = documents.map(({ page }) =>
+        `<li style="margin-left: ${page.depth * 20}px"><a href="#${page.id}">${escapeHtml(page.title)}</a></li>`
+    ).join('\n');
+
+    const sections = documents.map(({ page, markdown }) => {
+        const slug = createSlugger();
+        const body = markdownToHtml(removeDiagramImages(markdown), {
+            slug: text => `${page.id}--${slug(text)}`,
+            resolveLink: href => {
+                if (href.startsWith('#')) return `#${page.id}--${href.slice(1)}`;
+                const target = pageLinkTarget(href);
+                if (!target || !included.has(target.id)) return href;
+                return `#${target.fragment ? `${target.id}--${target.fragment}` : target.id}`;
+            }
+        });
+        return `<section class="page" id="${page.id}">\n${body}\n</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(repo)} Documentation</title>
+<style>${STYLE}
+body { font-size: 11pt; }
+.content { margin: 0; max-width: none; padding: 0; }
+.toc ul { list-style: none; padding: 0; }
+</style>
+</head>
+<body>
+<main class="content">
+<section class="toc">
+<h1>${escapeHtml(repo)} Documentation</h1>
+<p>Exported from <a href="https://deepwiki.com/${repo}">DeepWiki</a></p>
+<h2>Contents</h2>
+<ul>
+${toc}
+</ul>
+</section>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Print the wiki to PDF with rendered diagrams
+ *
+ * The document is loaded from a temporary file in `baseDir`, so relative
+ * image paths such as `./assets/<hash>.png` resolve like they do for the page
+ * files, while `#fragment` links stay inside the document.
+ *
+ * @param {import('puppeteer').Browser} browser
+ * @param {string} html - From buildPrintDocument
+ * @param {string} file - PDF path
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - Directory relative paths resolve against (default: the PDF's directory)
+ * @param {number} [options.timeout=30000]
+ */
+async function printPdf(browser, html, file, options = {}) {
+    const timeout = options.timeout || 30000;
+    const source = path.join(options.baseDir || path.dirname(file), `.${path.basename(file, '.pdf')}.print.html`);
+    await fs.writeFile(source, html, 'utf-8');
+    const page = await browser.newPage();
+    try {
+        await page.goto(pathToFileURL(source).href, { waitUntil: 'load', timeout });
+        await page.addScriptTag({ path: mermaidScriptPath() });
+        await page.evaluate(async () => {
+            /* global mermaid */
+            mermaid.initialize({ startOnLoad: false });
+            // A broken diagram shows mermaid's error graphic instead of failing the export
+            await mermaid.run({ querySelector: 'pre.mermaid', suppressErrors: true });
+        });
+        await page.pdf({
+            path: file,
+            format: 'A4',
+            printBackground: true,
+            outline: true,
+            margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' },
+            displayHeaderFooter: true,
+            headerTemplate: '<span></span>',
+            footerTemplate: '<div style="width: 100%; font-size: 8px; text-align: center; color: #888;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>',
+            timeout
+        });
+    } finally {
+        await page.close();
+        await fs.rm(source, { force: true });
+    }
+}
+
+/**
+ * Write the requested exports for a downloaded wiki
+ * @param {string} outDir - Output directory with the page files
+ * @param {string} repo - owner/repo
+ * @param {object[]} pages - Page hierarchy, in order
+ * @param {string[]} formats - Any of 'markdown', 'html', 'pdf', 'jsonl'
+ * @param {object} [options]
+ * @param {() => Promise<import('puppeteer').Browser>} [options.getBrowser] - Needed for 'pdf'
+ * @param {number} [options.timeout]
+ * @param {number} [options.chunkSize] - Characters per 'jsonl' chunk
+ * @returns {Promise<string[]>} Written files, relative to outDir
+ */
+async function writeExports(outDir, repo, pages, formats, options = {}) {
+    const unknown = formats.filter(format => !EXPORT_FORMATS.includes(format));
+    if (unknown.length > 0) throw new Error(`Unknown export format: ${unknown.join(', ')}`);
+    if (formats.length === 0) return [];
+
+    const documents = await loadDocuments(outDir, pages);
+    const exportDir = path.join(outDir, EXPORT_DIR);
+    const baseName = repo.replace('/', '-');
+    const written = [];
+    await fs.mkdir(exportDir, { recursive: true });
+
+    if (formats.includes('markdown')) {
+        const file = path.join(EXPORT_DIR, `${baseName}.md`);
+        await fs.writeFile(path.join(outDir, file), combineMarkdown(repo, documents), 'utf-8');
+        written.push(file);
+    }
+
+    if (formats.includes('html')) {
+        const siteDir = path.join(exportDir, 'site');
+        await fs.mkdir(path.join(siteDir, 'assets'), { recursive: true });
+        for (const [name, html] of buildSite(repo, documents)) {
+            await fs.writeFile(path.join(siteDir, name), html, 'utf-8');
+        }
+        await fs.cp(path.join(outDir, ASSETS_DIR), path.join(siteDir, 'assets'), { recursive: true }).catch(() => {});
+        await fs.copyFile(mermaidScriptPath(), path.join(siteDir, 'assets', 'mermaid.min.js'));
+        written.push(path.join(EXPORT_DIR, 'site', 'index.html'));
+    }
+
+    if (formats.includes('jsonl')) {
+        const file = path.join(EXPORT_DIR, `${baseName}.jsonl`);
+        const records = buildChunks(repo, documents, { chunkSize: options.chunkSize });
+        await fs.writeFile(path.join(outDir, file), records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf-8');
+        written.push(file);
+    }
+
+    if (formats.includes('pdf')) {
+        if (!options.getBrowser) throw new Error('PDF export needs a browser');
+        const file = path.join(EXPORT_DIR, `${baseName}.pdf`);
+        await printPdf(await options.getBrowser(), buildPrintDocument(repo, documents), path.join(outDir, file), { ...options, baseDir: outDir });
+        written.push(file);
+    }
+
+    return written;
+}
+
+module.exports = {
+    EXPORT_DIR,
+    EXPORT_FORMATS,
+    combineMarkdown,
+    buildSite,
+    buildPrintDocument,
+    printPdf,
+    writeExports
+};
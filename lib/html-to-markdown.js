@@ -0,0 +1,351 @@
+/**
+ * HTML to Markdown Converter
+ *
+ * Recursive converter for DeepWiki's rendered `.prose` content. Block elements
+ * keep their inline formatting, lists nest with proper indentation, tables
+ * become GFM tables, and rendered mermaid diagrams become placeholders
+ * (`%%MERMAID_PLACEHOLDER:<svg id>%%`) that the downloader later fills with
+ * the matching diagram source.
+ *
+ * `convertElement` only touches basic DOM properties, so the same function runs
+ * in the browser (via `page.evaluate`) and in Node on a `lib/dom.js` tree.
+ */
+
+const { parseHTML } = require('./dom');
+
+/**
+ * Convert a DOM element's content to markdown
+ *
+ * Must stay self-contained: it is serialized with toString() and evaluated in
+ * the page, so it can't reference anything outside its own body.
+ *
+ * @param {Element|null} root - Content container, usually `.prose`
+ * @returns {string}
+ */
+function convertElement(root) {
+    if (!root) return '';
+
+    const PLACEHOLDER = '%%MERMAID_PLACEHOLDER%%';
+    const SKIP_TAGS = ['script', 'style', 'nav', 'button', 'noscript', 'template'];
+    const BLOCK_TAGS = [
+        'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'figure',
+        'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'ol', 'p',
+        'pre', 'section', 'svg', 'table', 'ul'
+    ];
+
+    const tagOf = node => (node.tagName || '').toLowerCase();
+    const classOf = node => (node.getAttribute && node.getAttribute('class')) || '';
+    const elementChildren = node => Array.from(node.childNodes).filter(child => child.nodeType === 1);
+
+    function isSkipped(el) {
+        return SKIP_TAGS.includes(tagOf(el)) ||
+            /\bsr-only\b/.test(classOf(el)) ||
+            el.getAttribute('aria-hidden') === 'true';
+    }
+
+    function isMermaidCss(text) {
+        return text.startsWith('#mermaid-') || text.includes('font-family:ui-sans-serif');
+    }
+
+    function isBlock(node) {
+        if (node.nodeType !== 1) return false;
+        const tag = tagOf(node);
+        if (BLOCK_TAGS.includes(tag)) return true;
+        // An inline wrapper around block content (e.g. <span><p>..</p></span>) acts as a block
+        return elementChildren(node).some(isBlock);
+    }
+
+    // GitHub's heading anchor algorithm
+    function slugify(text) {
+        return text.trim().toLowerCase().replace(/[^\w\- ]+/g, '').replace(/ /g, '-');
+    }
+
+    // Wrap inline content in a delimiter, keeping surrounding spaces outside it
+    function wrap(content, open, close = open) {
+        const m = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!m[2]) return content;
+        return `${m[1]}${open}${m[2]}${close}${m[3]}`;
+    }
+
+    // Literal text: escape what markdown would take for inline syntax; `_` inside a word is literal already
+    function escapeText(text) {
+        return text.replace(/[\\`*_[\]<>]/g, (char, i) =>
+            (char === '_' && /[\p{L}\p{N}]/u.test(text[i - 1] || '') && /[\p{L}\p{N}]/u.test(text[i + 1] || '') ? char : `\\${char}`));
+    }
+
+    // Paragraph lines that would start a heading or list item
+    function escapeLineStarts(text) {
+        return text
+            .replace(/^( {0,3})(#{1,6}|[-+])(?=\s|$)/gm, '$1\\$2')
+            .replace(/^( {0,3}\d{1,9})([.)])(?=\s|$)/gm, '$1\\$2');
+    }
+
+    // Code span delimited by more backticks than the code contains
+    function codeSpan(text) {
+        const runs = text.match(/`+/g) || [];
+        const ticks = '`'.repeat(Math.max(0, ...runs.map(r => r.length)) + 1);
+        const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+        return `${ticks}${pad}${text}${pad}${ticks}`;
+    }
+
+    function codeFence(code) {
+        const runs = code.match(/^`{3,}/gm) || [];
+        return '`'.repeat(Math.max(3, ...runs.map(r => r.length + 1)));
+    }
+
+    /**
+     * Inline content of a node
+     * @param {object} ctx - { cell: true } inside table cells
+     */
+    function inline(node, ctx) {
+        if (node.nodeType === 3) return escapeText(node.textContent.replace(/\s+/g, ' '));
+        if (node.nodeType !== 1 || isSkipped(node)) return '';
+
+        const el = node;
+        const tag = tagOf(el);
+        const children = () => Array.from(el.childNodes).map(child => inline(child, ctx)).join('');
+
+        switch (tag) {
+            case 'code':
+            case 'kbd':
+            case 'samp': {
+                const text = el.textContent.replace(/\n/g, ' ');
+                if (!text) return '';
+                return tag === 'kbd' ? `<kbd>${text}</kbd>` : codeSpan(text);
+            }
+            case 'strong':
+            case 'b':
+                return wrap(children(), '**');
+            case 'em':
+            case 'i':
+            case 'cite':
+                return wrap(children(), '*');
+            case 'del':
+            case 's':
+            case 'strike':
+                return wrap(children(), '~~');
+            case 'sup':
+            case 'sub':
+                return wrap(children(), `<${tag}>`, `</${tag}>`);
+            case 'br':
+                return ctx.cell ? '<br>' : '\\\n';
+            case 'a': {
+                const href = el.getAttribute('href') || '';
+                const text = children().trim();
+                if (!text) return '';
+                if (!href || href === '#') return text;
+                const title = el.getAttribute('title');
+                return `[${text}](${href.replace(/ /g, '%20')}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+            }
+            case 'img': {
+                const src = el.getAttribute('src') || '';
+                const alt = el.getAttribute('alt') || 'image';
+                return src ? `![${alt}](${src})` : '';
+            }
+            case 'svg':
+                return '';
+            default:
+                return children();
+        }
+    }
+
+    /**
+     * Render a node's children as markdown blocks, grouping inline runs into paragraphs
+     * @param {boolean} [tight=false] - Join blocks with single newlines (tight list items)
+     */
+    function blocks(el, tight = false) {
+        const out = [];
+        let run = '';
+        const flush = () => {
+            const text = run.replace(/[ \t]+\n/g, '\n').replace(/^ +| +$/g, '').trim();
+            if (text && !isMermaidCss(text)) out.push(escapeLineStarts(text));
+            run = '';
+        };
+
+        for (const child of Array.from(el.childNodes)) {
+            if (child.nodeType === 1 && isBlock(child) && !isSkipped(child)) {
+                flush();
+                const rendered = block(child);
+                if (rendered) out.push(rendered);
+            } else {
+                run += inline(child, {});
+            }
+        }
+        flush();
+
+        return out.join(tight ? '\n' : '\n\n');
+    }
+
+    function heading(el, level) {
+        // Drop permalink icons (<a href="#x">#</a>) that some renderers add
+        const parts = Array.from(el.childNodes).filter(child => !(
+            child.nodeType === 1 && tagOf(child) === 'a' &&
+            (child.getAttribute('href') || '').startsWith('#') &&
+            !child.textContent.replace(/[#¶§🔗\s]/g, '')
+        ));
+        const text = parts.map(child => inline(child, {})).join('').replace(/\s+/g, ' ').trim();
+        if (!text) return '';
+
+        // Keep the page's own anchor when GitHub would generate a different one
+        const anchorEl = el.getAttribute('id') ? el : elementChildren(el).find(child => child.getAttribute('id'));
+        const id = anchorEl ? anchorEl.getAttribute('id') : '';
+        const plain = parts.map(child => child.textContent).join('');
+        const anchor = id && id !== slugify(plain) ? `<a id="${id}"></a>\n` : '';
+        return `${anchor}${'#'.repeat(level)} ${text}`;
+    }
+
+    function codeBlock(el) {
+        const codeEl = elementChildren(el).find(child => tagOf(child) === 'code') || el;
+        const codeClass = classOf(codeEl);
+        const code = codeEl.textContent.replace(/\n$/, '');
+
+        // Rendered mermaid CSS means the diagram itself was rendered here
+        if (code.includes('#mermaid-') && code.includes('font-family')) return PLACEHOLDER;
+
+        let lang = '';
+        if (codeClass.includes('mermaid') || classOf(el).includes('mermaid')) {
+            lang = 'mermaid';
+        } else {
+            const langMatch = `${codeClass} ${classOf(el)}`.match(/(?:language|lang)-([\w+#.-]+)/);
+            lang = langMatch ? langMatch[1] : (el.getAttribute('data-language') || '');
+        }
+
+        const fence = codeFence(code);
+        return `${fence}${lang}\n${code}\n${fence}`;
+    }
+
+    function list(el, ordered) {
+        const items = elementChildren(el).filter(child => tagOf(child) === 'li');
+        const start = parseInt(el.getAttribute('start') || '1', 10) || 1;
+        // A list is loose when any item wraps its text in paragraphs
+        const loose = items.some(li => elementChildren(li).some(child => tagOf(child) === 'p'));
+
+        return items.map((li, i) => {
+            const marker = ordered ? `${start + i}. ` : '- ';
+            const pad = ' '.repeat(marker.length);
+            const body = blocks(li, !loose) || '';
+            const lines = body.split('\n').map((line, j) => (j === 0 || line === '' ? line : pad + line));
+            return (marker + lines.join('\n')).trimEnd();
+        }).join(loose ? '\n\n' : '\n');
+    }
+
+    function table(el) {
+        const rows = [];
+        const collectRows = node => {
+            for (const child of elementChildren(node)) {
+                const tag = tagOf(child);
+                if (tag === 'tr') rows.push(child);
+                else if (['thead', 'tbody', 'tfoot'].includes(tag)) collectRows(child);
+            }
+        };
+        collectRows(el);
+        if (rows.length === 0) return '';
+
+        const cellsOf = row => elementChildren(row).filter(child => ['td', 'th'].includes(tagOf(child)));
+        const cellText = cell => inline(cell, { cell: true })
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/\|/g, '\\|');
+
+        const header = cellsOf(rows[0]);
+        const width = Math.max(...rows.map(row => cellsOf(row).length));
+        const line = cells => {
+            const padded = cells.concat(Array(width - cells.length).fill(''));
+            return `| ${padded.join(' | ')} |`;
+        };
+
+        const align = header.map(cell => {
+            const value = (cell.getAttribute('align') || '') +
+                ((cell.getAttribute('style') || '').match(/text-align:\s*(\w+)/) || [])[1];
+            if (value.includes('center')) return ':---:';
+            if (value.includes('right')) return '---:';
+            if (value.includes('left')) return ':---';
+            return '---';
+        });
+
+        const out = [line(header.map(cellText)), line(align.concat(Array(width - align.length).fill('---')))];
+        for (const row of rows.slice(1)) out.push(line(cellsOf(row).map(cellText)));
+        return out.join('\n');
+    }
+
+    function blockquote(el) {
+        const body = blocks(el);
+        return body.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+    }
+
+    function details(el) {
+        const summaryEl = elementChildren(el).find(child => tagOf(child) === 'summary');
+        // Markdown isn't rendered inside <summary>, so keep it plain text
+        const summary = summaryEl ? summaryEl.textContent.replace(/\s+/g, ' ').trim() : 'Details';
+        const body = {
+            childNodes: Array.from(el.childNodes).filter(child => child !== summaryEl)
+        };
+        return `<details>\n<summary>${summary}</summary>\n\n${blocks(body)}\n\n</details>`;
+    }
+
+    // Placeholder naming the rendered SVG, so it can be matched to its source later
+    function diagram(el) {
+        const svg = tagOf(el) === 'svg' ? el : el.querySelector('svg');
+        const id = svg ? svg.getAttribute('id') || '' : '';
+        if (/^mermaid[\w-]*$/.test(id)) return `%%MERMAID_PLACEHOLDER:${id}%%`;
+        // Icons and other decorative SVGs
+        if (tagOf(el) === 'svg') return '';
+        return PLACEHOLDER;
+    }
+
+    function block(el) {
+        const tag = tagOf(el);
+        const className = classOf(el);
+
+        // Rendered mermaid diagram
+        if (tag === 'svg' || (className.includes('mermaid') && tag !== 'pre')) return diagram(el);
+
+        switch (tag) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return heading(el, Number(tag[1]));
+            case 'p': {
+                const text = blocks(el);
+                return isMermaidCss(text) ? '' : text;
+            }
+            case 'pre':
+                return codeBlock(el);
+            case 'ul':
+                return list(el, false);
+            case 'ol':
+                return list(el, true);
+            case 'table':
+                return table(el);
+            case 'blockquote':
+                return blockquote(el);
+            case 'details':
+                return details(el);
+            case 'hr':
+                return '---';
+            default:
+                return blocks(el);
+        }
+    }
+
+    return blocks(root).trim();
+}
+
+/**
+ * Convert an HTML string to markdown in Node
+ * @param {string} html - Full document or fragment
+ * @param {string} [selector='.prose'] - Content container; the whole document is used if absent
+ * @returns {string}
+ */
+function htmlToMarkdown(html, selector = '.prose') {
+    const doc = parseHTML(html);
+    return convertElement((selector && doc.querySelector(selector)) || doc);
+}
+
+module.exports = {
+    convertElement,
+    htmlToMarkdown
+};
@@ -0,0 +1,114 @@
+/**
+ * DeepWiki Downloader API
+ *
+ * @example
+ * const { downloadWiki } = require('deepwiki-downloader');
+ * await downloadWiki({
+ *     repo: 'rive-app/rive-runtime',
+ *     outDir: './docs',
+ *     onPage: result => console.log(result.id, result.status)
+ * });
+ *
+ * // Or offline, from saved HTML snapshots
+ * await convertWiki({ inputDir: './snapshots', outDir: './docs' });
+ */
+
+const { downloadWiki, extractMarkdown, fetchPageFromPayload, renderPage } = require('./downloader');
+const { downloadWikis } = require('./batch');
+const { convertWiki, convertPageHTML, detectRepo } = require('./convert');
+const { discoverPages, discoverPagesFromHTML, buildPageTree, selectPages } = require('./structure');
+const { fetchRawHTML, extractPageMarkdown } = require('./rsc');
+const { convertElement, htmlToMarkdown } = require('./html-to-markdown');
+const { extractMermaidFromHTML, extractMermaidBlocks, matchDiagrams, validateMermaid } = require('./mermaid');
+const { McpClient, fetchWikiFromMcp } = require('./mcp');
+const { renderMermaid, renderDiagramImages } = require('./diagrams');
+const { findImageUrls, createAssetStore } = require('./assets');
+const { fixInternalLinks, resolveFragments } = require('./links');
+const { createIndex, finalizePage, formatFrontMatter, stripFrontMatter } = require('./output');
+const { writeExports, combineMarkdown, buildSite, buildPrintDocument } = require('./export');
+const { findCitations, buildCitationIndex, writeCitationIndex } = require('./citations');
+const { writeSiteConfigs, mkdocsConfig, docusaurusSidebars, vitepressSidebar } = require('./site-config');
+const { markdownToHtml } = require('./markdown-to-html');
+const { chunkMarkdown, buildChunks } = require('./chunks');
+const { verifyWiki, checkMarkdown } = require('./verify');
+const { diffWiki, loadSnapshot, compareSnapshots, unifiedDiff, describeChange, writeChangelog } = require('./diff');
+
+module.exports = {
+    // Whole-wiki download
+    downloadWiki,
+    downloadWikis,
+    convertWiki,
+
+    // Comparing downloads
+    diffWiki,
+    loadSnapshot,
+    compareSnapshots,
+    unifiedDiff,
+    describeChange,
+    writeChangelog,
+
+    // Verifying downloads
+    verifyWiki,
+    checkMarkdown,
+
+    // Page discovery
+    discoverPages,
+    discoverPagesFromHTML,
+    buildPageTree,
+    selectPages,
+
+    // Page extraction
+    fetchRawHTML,
+    extractPageMarkdown,
+    fetchPageFromPayload,
+    renderPage,
+    extractMarkdown,
+    convertElement,
+    htmlToMarkdown,
+    convertPageHTML,
+    detectRepo,
+
+    // DeepWiki MCP server
+    McpClient,
+    fetchWikiFromMcp,
+
+    // Mermaid diagrams
+    extractMermaidFromHTML,
+    extractMermaidBlocks,
+    matchDiagrams,
+    validateMermaid,
+    renderMermaid,
+    renderDiagramImages,
+
+    // Images
+    findImageUrls,
+    createAssetStore,
+
+    // Output
+    fixInternalLinks,
+    resolveFragments,
+    finalizePage,
+    createIndex,
+    formatFrontMatter,
+    stripFrontMatter,
+
+    // Source citations
+    findCitations,
+    buildCitationIndex,
+    writeCitationIndex,
+
+    // Static site generators
+    writeSiteConfigs,
+    mkdocsConfig,
+    docusaurusSidebars,
+    vitepressSidebar,
+
+    // Exports
+    writeExports,
+    combineMarkdown,
+    buildSite,
+    buildPrintDocument,
+    markdownToHtml,
+    chunkMarkdown,
+    buildChunks
+};
@@ -0,0 +1,206 @@
+/**
+ * Link Rewriting
+ *
+ * Turns links between wiki pages into relative links between the exported
+ * markdown files, points links to other wikis at their local mirrors, and
+ * turns DeepWiki's source-file citations into links to the code.
+ */
+
+const { headingAnchors } = require('./markdown-to-html');
+
+// [label](href "title"); images are matched too so they can be left alone
+const LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*([^)\s]*)((?:\s+"[^"]*")?)\s*\)/g;
+
+// deepwiki.com/<owner>/<repo>[/<page>][#fragment], absolute or root-relative
+const WIKI_HREF_PATTERN = /^(?:https?:\/\/(?:www\.)?deepwiki\.com)?\/([\w.-]+)\/([\w.-]+)(?:\/([^/?#]*)\/?)?(?:\?[^#]*)?(?:#(.*))?$/i;
+
+// Citation labels: a file path with an optional line range, e.g. src/app.cpp:10-20
+const CITATION_PATTERN = /^`?((?:[\w.@+-]+\/)*[\w@+-][\w.@+-]*\.[\w-]+|(?:[\w.@+-]+\/)+[\w.@+-]+)(?::(\d+)(?:-(\d+))?)?`?$/;
+
+/**
+ * Apply fn to the parts of a markdown document outside fenced code blocks
+ */
+function mapOutsideFences(markdown, fn) {
+    const parts = markdown.split(/^(([ \t]*)(`{3,}|~{3,})[^\n]*\n(?:[\s\S]*?\n)??[ \t]*\3[`~]*[ \t]*(?:\n|$))/m);
+    // split() with capture groups yields [text, fence, indent, marker, text, ...]
+    let out = '';
+    for (let i = 0; i < parts.length; i += 4) {
+        out += fn(parts[i]);
+        if (i + 1 < parts.length) out += parts[i + 1];
+    }
+    return out;
+}
+
+/**
+ * Parse a link to a DeepWiki page
+ * @param {string} href
+ * @returns {{repo: string, page: string|null, fragment: string|null}|null}
+ */
+function parseWikiHref(href) {
+    const m = href.match(WIKI_HREF_PATTERN);
+    if (!m) return null;
+    return { repo: `${m[1]}/${m[2]}`, page: m[3] || null, fragment: m[4] || null };
+}
+
+/**
+ * Local or online target of a link to a DeepWiki page
+ * @returns {string|null} null to leave the link as it is
+ */
+function rewriteWikiHref(href, repo, mirrors) {
+    const target = parseWikiHref(href);
+    if (!target) return null;
+    const file = `${target.page || 'index'}.md${target.fragment ? `#${target.fragment}` : ''}`;
+
+    if (target.repo.toLowerCase() === repo.toLowerCase()) return `./${file}`;
+    const mirror = mirrors && mirrors.get(target.repo.toLowerCase());
+    if (mirror) return `${mirror}/${file}`;
+    // Root-relative links to other wikis only work on deepwiki.com
+    return href.startsWith('/') ? `https://deepwiki.com${href}` : null;
+}
+
+/**
+ * Link label without markdown backslash escapes (`src/\_\_init\_\_.py`)
+ */
+function unescapeLabel(label) {
+    return label.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+/**
+ * Parse a citation label such as `src/app.cpp:10-20`
+ * @param {string} label
+ * @returns {{file: string, start: number|null, end: number|null}|null}
+ */
+function parseCitationLabel(label) {
+    const m = unescapeLabel(label).match(CITATION_PATTERN);
+    if (!m) return null;
+    const start = m[2] ? Number(m[2]) : null;
+    return { file: m[1], start, end: m[3] ? Number(m[3]) : start };
+}
+
+/**
+ * Link target of a source-file citation
+ *
+ * Citations are links labelled with a file path and optional line range whose
+ * href is empty, repeats the path, or is a GitHub blob URL of the repository.
+ *
+ * @returns {string|null} null when the link is not a citation
+ */
+function rewriteCitation(label, href, repo, options) {
+    const cited = unescapeLabel(label).match(CITATION_PATTERN);
+    if (!cited) return null;
+    let [, file, start, end] = cited;
+    let ref = null;
+    let encoded = null;
+
+    if (href) {
+        const escaped = repo.replace(/[.]/g, '\\.');
+        const blob = href.match(new RegExp(`^https://github\\.com/${escaped}/blob/([^/]+)/([^#?]+)(?:#L(\\d+)(?:-L(\\d+))?)?$`, 'i'));
+        if (blob) {
+            [, ref, file, start, end] = blob;
+            try {
+                file = decodeURIComponent(file);
+            } catch {
+                // Keep the path as GitHub had it, malformed escapes included
+                encoded = file;
+            }
+        } else if (href !== file) {
+            return null;
+        }
+    }
+
+    const lines = start ? `#L${start}${end && end !== start ? `-L${end}` : ''}` : '';
+    if (encoded === null) encoded = file.split('/').map(encodeURIComponent).join('/');
+    if (options.checkout) return `${options.checkout}/${encoded}${lines}`;
+    return `https://github.com/${repo}/blob/${options.commit || ref || options.linkedCommit || 'HEAD'}/${encoded}${lines}`;
+}
+
+/**
+ * Fix the links of a page for the local mirror
+ *
+ * - Links to pages of this wiki, absolute or root-relative, become relative
+ *   links to the page files, keeping their #fragment
+ * - Links to other wikis point into a sibling mirror of that wiki when there
+ *   is one, and to deepwiki.com otherwise
+ * - Source-file citations (`src/app.cpp:10-20`) become GitHub permalinks, or
+ *   links into a local checkout
+ *
+ * Code blocks are left alone.
+ *
+ * @param {string} markdown
+ * @param {string} repo - owner/repo
+ * @param {object} [options]
+ * @param {Map<string, string>} [options.mirrors] - Lower-case owner/repo -> relative path of its mirror
+ * @param {string} [options.commit] - Commit for citation links; default: the one DeepWiki linked, else HEAD
+ * @param {string} [options.checkout] - Local checkout relative to the page files; replaces GitHub links
+ * @returns {string}
+ */
+function fixInternalLinks(markdown, repo, options = {}) {
+    const escaped = repo.replace(/[.]/g, '\\.');
+    const linked = markdown.match(new RegExp(`https://github\\.com/${escaped}/blob/([0-9a-f]{7,40})/`, 'i'));
+    const citationOptions = { ...options, linkedCommit: linked ? linked[1] : null };
+
+    return mapOutsideFences(markdown, text => text.replace(LINK_PATTERN, (match, bang, label, href, title) => {
+        if (bang) return match;
+        const target = rewriteWikiHref(href, repo, options.mirrors) || rewriteCitation(label, href, repo, citationOptions);
+        return target ? `[${label}](${target}${title})` : match;
+    }));
+}
+
+/**
+ * Loose form of an anchor for matching DeepWiki fragments to heading anchors
+ */
+function looseAnchor(anchor) {
+    let decoded = anchor;
+    try {
+        decoded = decodeURIComponent(anchor);
+    } catch {
+        // Keep malformed escapes as they are
+    }
+    return decoded.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Point #fragments of links between page files at the headings' anchors
+ *
+ * Fragments copied from DeepWiki don't always match the anchors GitHub and
+ * other viewers generate; they are matched ignoring case and punctuation.
+ * Fragments without a matching heading are left as they are.
+ *
+ * @param {string} markdown - Page file content
+ * @param {string} pageId - The page itself, for `#fragment` links
+ * @param {Map<string, string[]>} anchorsById - Heading anchors of each page file
+ * @returns {string}
+ */
+function resolveFragments(markdown, pageId, anchorsById) {
+    const resolve = (id, fragment) => {
+        const anchors = anchorsById.get(id);
+        if (!anchors || anchors.includes(fragment)) return fragment;
+        const loose = looseAnchor(fragment);
+        return anchors.find(anchor => looseAnchor(anchor) === loose) || fragment;
+    };
+
+    return mapOutsideFences(markdown, text => text.replace(LINK_PATTERN, (match, bang, label, href, title) => {
+        const m = !bang && href.match(/^(?:\.\/([^/#?]+)\.md)?#(.+)$/);
+        if (!m) return match;
+        const fragment = resolve(m[1] || pageId, m[2]);
+        return fragment === m[2] ? match : `[${label}](${m[1] ? `./${m[1]}.md` : ''}#${fragment}${title})`;
+    }));
+}
+
+/**
+ * Heading anchors of page files, for resolveFragments
+ * @param {Map<string, string>} markdownById
+ * @returns {Map<string, string[]>}
+ */
+function collectAnchors(markdownById) {
+    return new Map([...markdownById].map(([id, markdown]) => [id, headingAnchors(markdown)]));
+}
+
+module.exports = {
+    parseWikiHref,
+    parseCitationLabel,
+    fixInternalLinks,
+    resolveFragments,
+    collectAnchors,
+    mapOutsideFences
+};
@@ -0,0 +1,40 @@
+/**
+ * Console Output
+ *
+ * Routes progress, summary and error lines according to the --quiet and
+ * --json output modes.
+ */
+
+/**
+ * Create a logger
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - Drop progress lines, keep summary and errors
+ * @param {boolean} [options.json=false] - Drop all text output; only `json()` prints
+ */
+function createLogger(options = {}) {
+    const quiet = Boolean(options.quiet);
+    const json = Boolean(options.json);
+
+    return {
+        /** Per-step progress (hidden by --quiet and --json) */
+        progress(message) {
+            if (!quiet && !json) console.log(message);
+        },
+        /** End-of-run summary and failures (hidden by --json) */
+        summary(message) {
+            if (!json) console.log(message);
+        },
+        /** Errors go to stderr in every mode */
+        error(message) {
+            console.error(message);
+        },
+        /** Machine-readable result (--json only) */
+        json(value) {
+            if (json) console.log(JSON.stringify(value, null, 2));
+        }
+    };
+}
+
+module.exports = {
+    createLogger
+};
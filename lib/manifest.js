@@ -0,0 +1,181 @@
+/**
+ * Download Manifest
+ *
+ * Records what was downloaded into an output directory (page id, source URL,
+ * fetch time, content hash, diagram count) so later runs can skip unchanged
+ * pages, resume an interrupted run and remove pages that disappeared upstream.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * SHA-256 of a string, hex encoded
+ * @param {string} text
+ * @returns {string}
+ */
+function hashContent(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Create an empty manifest
+ * @param {string} repo - owner/repo
+ */
+function createManifest(repo) {
+    return {
+        version: MANIFEST_VERSION,
+        repo,
+        run: null,
+        pages: {}
+    };
+}
+
+/**
+ * Load the manifest of an output directory
+ *
+ * A missing, unreadable or foreign (other repo, other version) manifest is
+ * treated as empty, which makes the run a full download.
+ *
+ * @param {string} outputDir
+ * @param {string} repo - owner/repo
+ */
+async function loadManifest(outputDir, repo) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(path.join(outputDir, MANIFEST_FILE), 'utf-8'));
+        if (manifest.version === MANIFEST_VERSION && manifest.repo === repo && manifest.pages) {
+            return manifest;
+        }
+    } catch {
+        // No usable manifest
+    }
+    return createManifest(repo);
+}
+
+// Saves of the same manifest are chained, so concurrent page workers never race on the temp file
+const pendingSaves = new Map();
+
+/**
+ * Write the manifest atomically, so an interrupted run never leaves it half written
+ * @param {string} outputDir
+ * @param {object} manifest
+ */
+async function saveManifest(outputDir, manifest) {
+    const file = path.join(outputDir, MANIFEST_FILE);
+    const save = (pendingSaves.get(file) || Promise.resolve())
+        .catch(() => {})
+        .then(async () => {
+            const tmp = `${file}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(manifest, null, 2), 'utf-8');
+            await fs.rename(tmp, file);
+        });
+    pendingSaves.set(file, save);
+    try {
+        await save;
+    } finally {
+        if (pendingSaves.get(file) === save) pendingSaves.delete(file);
+    }
+}
+
+/**
+ * Mark the start of a run
+ *
+ * If the previous run never finished, its start time is kept so the pages it
+ * already fetched count as done when resuming.
+ *
+ * @param {object} manifest
+ * @returns {string|null} Start time of the interrupted run being resumed, if any
+ */
+function beginRun(manifest) {
+    const previous = manifest.run;
+    const resumedFrom = previous && !previous.completedAt ? previous.startedAt : null;
+    manifest.run = {
+        startedAt: resumedFrom || new Date().toISOString(),
+        completedAt: null
+    };
+    return resumedFrom;
+}
+
+/**
+ * Mark the current run as finished
+ * @param {object} manifest
+ */
+function completeRun(manifest) {
+    manifest.run.completedAt = new Date().toISOString();
+}
+
+/**
+ * Decide whether a page can be skipped without downloading it again
+ * @param {object|undefined} entry - Manifest entry of the page
+ * @param {object} options
+ * @param {string|null} options.hash - Hash of the current upstream source, if known
+ * @param {string|null} options.resumedFrom - Start of an interrupted run being resumed
+ * @param {boolean} options.fileExists - Whether the page's file is still on disk
+ * @returns {boolean}
+ */
+function isUnchanged(entry, { hash, resumedFrom, fileExists }) {
+    if (!entry || !fileExists) return false;
+    if (hash) return entry.hash === hash;
+    // Upstream can't be checked cheaply; only skip pages done by the run being resumed
+    return Boolean(resumedFrom && entry.fetchedAt >= resumedFrom);
+}
+
+/**
+ * Pages in the manifest that are no longer part of the wiki
+ * @param {object} manifest
+ * @param {{id: string}[]} pages - Current page hierarchy
+ * @returns {object[]} Manifest entries to remove
+ */
+function findRemovedPages(manifest, pages) {
+    const current = new Set(pages.map(page => page.id));
+    return Object.values(manifest.pages).filter(entry => !current.has(entry.id));
+}
+
+/**
+ * Find mirrors of other wikis next to an output directory
+ *
+ * Any sibling directory with a manifest counts, whatever its name, except
+ * hidden ones such as the temporary download of a live diff.
+ *
+ * @param {string} outputDir
+ * @param {string} repo - owner/repo of the mirror itself, excluded
+ * @returns {Promise<Map<string, string>>} Lower-case owner/repo -> relative path from outputDir
+ */
+async function findMirrors(outputDir, repo) {
+    const parent = path.dirname(outputDir);
+    const mirrors = new Map();
+    let entries;
+    try {
+        entries = await fs.readdir(parent, { withFileTypes: true });
+    } catch {
+        return mirrors;
+    }
+    for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || path.join(parent, entry.name) === outputDir) continue;
+        try {
+            const manifest = JSON.parse(await fs.readFile(path.join(parent, entry.name, MANIFEST_FILE), 'utf-8'));
+            if (manifest.version === MANIFEST_VERSION && manifest.repo && manifest.repo !== repo) {
+                mirrors.set(manifest.repo.toLowerCase(), `../${entry.name}`);
+            }
+        } catch {
+            // Not a mirror
+        }
+    }
+    return mirrors;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    hashContent,
+    loadManifest,
+    saveManifest,
+    beginRun,
+    completeRun,
+    isUnchanged,
+    findRemovedPages,
+    findMirrors
+};
@@ -0,0 +1,343 @@
+/**
+ * Markdown to HTML Renderer
+ *
+ * Small GFM renderer for the markdown this tool writes: ATX headings with
+ * GitHub-style ids, fenced code (mermaid fences become `<pre class="mermaid">`
+ * for mermaid.js), nested lists, tables, blockquotes, raw HTML blocks such as
+ * `<details>`, and the usual inline formatting. It is not a general-purpose
+ * CommonMark implementation.
+ */
+
+const FENCE_PATTERN = /^( {0,3})(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const HR_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(\s+|$)/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HTML_BLOCK_PATTERN = /^ {0,3}<(\/?[a-zA-Z][\w-]*|!--)/;
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * GitHub's heading anchor algorithm
+ * @param {string} text - Heading text without markup
+ * @returns {string}
+ */
+function githubSlug(text) {
+    return text.trim().toLowerCase().replace(/[^\w\- ]+/g, '').replace(/ /g, '-');
+}
+
+/**
+ * Slug generator that numbers repeated headings like GitHub (`x`, `x-1`, `x-2`)
+ * @returns {(text: string) => string}
+ */
+function createSlugger() {
+    const seen = new Map();
+    return text => {
+        const base = githubSlug(text);
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+    };
+}
+
+/**
+ * Plain text of inline markdown, as used for heading anchors
+ */
+function inlineText(markdown) {
+    return markdown
+        .replace(/<[^>]+>/g, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[`*_~]/g, '');
+}
+
+/**
+ * Anchors of a document's headings in order, as markdownToHtml and GitHub generate them
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+function headingAnchors(markdown) {
+    const slug = createSlugger();
+    const anchors = [];
+    let fence = null;
+    for (const line of markdown.split('\n')) {
+        if (fence) {
+            const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+            if (close && close[1][0] === fence[0] && close[1].length >= fence.length) fence = null;
+            continue;
+        }
+        const open = line.match(FENCE_PATTERN);
+        if (open) {
+            fence = open[2];
+            continue;
+        }
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) anchors.push(slug(inlineText(heading[2] || '')));
+    }
+    return anchors;
+}
+
+/**
+ * Split a table row into cells, honoring escaped pipes
+ */
+function splitRow(line) {
+    const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Render inline markdown
+ * @param {string} text
+ * @param {object} options - See markdownToHtml
+ * @returns {string}
+ */
+function renderInline(text, options) {
+    const tokens = [];
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+    const link = href => escapeHtml(options.resolveLink ? options.resolveLink(href) : href);
+
+    let out = text
+        // Code spans
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => stash(`<code>${escapeHtml(code.replace(/^ (.*) $/, '$1'))}</code>`))
+        // Backslash escapes
+        .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (m, ch) => stash(escapeHtml(ch)))
+        // Autolinks
+        .replace(/<(https?:\/\/[^\s<>]+)>/g, (m, url) => stash(`<a href="${link(url)}">${escapeHtml(url)}</a>`))
+        // Raw inline HTML tags and entities pass through
+        .replace(/<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*)?\/?>|<!--[\s\S]*?-->/g, tag => stash(tag))
+        .replace(/&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi, entity => stash(entity));
+
+    out = escapeHtml(out)
+        // Images before links, so ![..](..) isn't read as a link
+        .replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;([^"]*?)&quot;)?\s*\)/g, (m, alt, src, title) =>
+            stash(`<img src="${link(src)}" alt="${alt}"${title ? ` title="${title}"` : ''}>`))
+        .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;([^"]*?)&quot;)?\s*\)/g, (m, label, href, title) =>
+            `<a href="${link(href.replace(/&amp;/g, '&'))}"${title ? ` title="${title}"` : ''}>${label}</a>`)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w_])/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        // Hard line breaks
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    // Stashed tokens can contain other tokens (e.g. an escape inside an image)
+    while (/\u0000\d+\u0000/.test(out)) {
+        out = out.replace(/\u0000(\d+)\u0000/g, (m, i) => tokens[Number(i)]);
+    }
+    return out;
+}
+
+/**
+ * Render block-level markdown lines
+ * @param {string[]} lines
+ * @param {object} options
+ * @param {(text: string) => string} slug
+ * @returns {string}
+ */
+function renderBlocks(lines, options, slug) {
+    const html = [];
+    let i = 0;
+
+    const isBlank = line => line.trim() === '';
+    // Lines that end a paragraph
+    const startsBlock = line =>
+        FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || HR_PATTERN.test(line) ||
+        /^ {0,3}>/.test(line) || LIST_ITEM_PATTERN.test(line) || HTML_BLOCK_PATTERN.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const [, indent, marker, lang] = fence;
+            const body = [];
+            i++;
+            while (i < lines.length) {
+                const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+                if (close && close[1][0] === marker[0] && close[1].length >= marker.length) break;
+                body.push(lines[i].startsWith(indent) ? lines[i].slice(indent.length) : lines[i].trimStart());
+                i++;
+            }
+            i++;
+            const code = escapeHtml(body.join('\n'));
+            if (lang === 'mermaid') {
+                html.push(`<pre class="mermaid">${code}</pre>`);
+            } else {
+                html.push(`<pre><code${lang ? ` class="language-${escapeHtml(lang)}"` : ''}>${code}\n</code></pre>`);
+            }
+            continue;
+        }
+
+        // Heading
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const level = heading[1].length;
+            const text = heading[2] || '';
+            html.push(`<h${level} id="${escapeHtml(slug(inlineText(text)))}">${renderInline(text, options)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (HR_PATTERN.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Table: header row followed by a delimiter row
+        if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER_PATTERN.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const header = splitRow(line);
+            const aligns = splitRow(lines[i + 1]).map(cell =>
+                cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null);
+            const cell = (tag, text, col) =>
+                `<${tag}${aligns[col] ? ` style="text-align: ${aligns[col]}"` : ''}>${renderInline(text || '', options)}</${tag}>`;
+
+            const rows = [];
+            i += 2;
+            while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                rows.push(splitRow(lines[i]));
+                i++;
+            }
+            html.push('<table>\n<thead>\n<tr>' + header.map((text, col) => cell('th', text, col)).join('') + '</tr>\n</thead>' +
+                (rows.length ? '\n<tbody>\n' + rows.map(row => '<tr>' + header.map((_, col) => cell('td', row[col], col)).join('') + '</tr>').join('\n') + '\n</tbody>' : '') +
+                '\n</table>');
+            continue;
+        }
+
+        // Blockquote
+        if (/^ {0,3}>/.test(line)) {
+            const body = [];
+            while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                body.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                i++;
+            }
+            html.push(`<blockquote>\n${renderBlocks(body, options, slug)}\n</blockquote>`);
+            continue;
+        }
+
+        // List
+        const item = line.match(LIST_ITEM_PATTERN);
+        if (item) {
+            const ordered = /\d/.test(item[2]);
+            const baseIndent = item[1].length;
+            const items = [];
+            let loose = false;
+
+            while (i < lines.length) {
+                const m = lines[i].match(LIST_ITEM_PATTERN);
+                if (!m || m[1].length !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+
+                const contentIndent = m[0].length === lines[i].length ? baseIndent + m[2].length + 1 : m[0].length;
+                const body = [lines[i].slice(m[0].length)];
+                i++;
+                while (i < lines.length) {
+                    if (isBlank(lines[i])) {
+                        // A blank line continues the item only if indented content follows
+                        let next = i + 1;
+                        while (next < lines.length && isBlank(lines[next])) next++;
+                        if (next < lines.length && lines[next].search(/\S/) >= contentIndent) {
+                            body.push(...lines.slice(i, next).map(() => ''));
+                            if (!/^ *([-*+]|\d+[.)])\s/.test(lines[next].slice(contentIndent))) loose = true;
+                            i = next;
+                            continue;
+                        }
+                        break;
+                    }
+                    const indent = lines[i].search(/\S/);
+                    if (indent >= contentIndent) {
+                        body.push(lines[i].slice(contentIndent));
+                    } else if (!startsBlock(lines[i]) && !isBlank(body[body.length - 1])) {
+                        // Lazy paragraph continuation
+                        body.push(lines[i].trim());
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                items.push({ start: m[2], body });
+
+                // Blank lines between items make the list loose
+                let next = i;
+                while (next < lines.length && isBlank(lines[next])) next++;
+                const following = next < lines.length && lines[next].match(LIST_ITEM_PATTERN);
+                if (next > i && following && following[1].length === baseIndent && /\d/.test(following[2]) === ordered) {
+                    loose = true;
+                    i = next;
+                }
+            }
+
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered ? parseInt(items[0].start, 10) : 1;
+            const rendered = items.map(({ body }) => {
+                let content = renderBlocks(body, options, slug);
+                // Tight lists keep their text out of <p>
+                if (!loose) content = content.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/\n<p>([\s\S]*?)<\/p>$/, '\n$1');
+                return `<li>${content}</li>`;
+            });
+            html.push(`<${tag}${start !== 1 ? ` start="${start}"` : ''}>\n${rendered.join('\n')}\n</${tag}>`);
+            continue;
+        }
+
+        // Raw HTML block, up to the next blank line
+        if (HTML_BLOCK_PATTERN.test(line)) {
+            const body = [];
+            while (i < lines.length && !isBlank(lines[i])) {
+                body.push(lines[i]);
+                i++;
+            }
+            html.push(body.join('\n'));
+            continue;
+        }
+
+        // Paragraph
+        const body = [line.trim()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i]) &&
+            !(lines[i].includes('|') && i + 1 < lines.length && TABLE_DELIMITER_PATTERN.test(lines[i + 1]))) {
+            body.push(lines[i].trim());
+            i++;
+        }
+        // Setext headings aren't used in generated markdown; keep the line as text
+        html.push(`<p>${renderInline(body.join('\n'), options)}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+/**
+ * Render markdown to an HTML fragment
+ * @param {string} markdown
+ * @param {object} [options]
+ * @param {(href: string) => string} [options.resolveLink] - Rewrite link and image targets
+ * @param {(text: string) => string} [options.slug] - Heading id generator (default: a fresh createSlugger())
+ * @returns {string}
+ */
+function markdownToHtml(markdown, options = {}) {
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return renderBlocks(lines, options, options.slug || createSlugger());
+}
+
+module.exports = {
+    escapeHtml,
+    githubSlug,
+    createSlugger,
+    inlineText,
+    headingAnchors,
+    markdownToHtml
+};
@@ -0,0 +1,245 @@
+/**
+ * DeepWiki MCP Backend
+ *
+ * Reads a wiki's structure and page contents from the DeepWiki MCP server
+ * (`read_wiki_structure`, `read_wiki_contents`) over the streamable HTTP
+ * transport, as an alternative to scraping deepwiki.com.
+ */
+
+const { buildPageTree } = require('./structure');
+const { normalizeTitle } = require('./rsc');
+
+const DEFAULT_MCP_ENDPOINT = 'https://mcp.deepwiki.com/mcp';
+const PROTOCOL_VERSION = '2025-03-26';
+
+/**
+ * Error from the MCP server or transport
+ */
+class McpError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+    }
+}
+
+/**
+ * Read the JSON-RPC response with the given id from a response body, which
+ * is either plain JSON or a server-sent event stream
+ * @param {string} contentType
+ * @param {string} body
+ * @param {number} id
+ * @returns {object|null}
+ */
+function parseRpcResponse(contentType, body, id) {
+    let messages;
+    if (/text\/event-stream/i.test(contentType)) {
+        // Events are separated by blank lines; their data lines join with newlines
+        messages = body.split(/\r?\n\r?\n/).map(event => event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n'))
+            .filter(Boolean)
+            .map(data => JSON.parse(data));
+    } else {
+        const parsed = JSON.parse(body);
+        messages = Array.isArray(parsed) ? parsed : [parsed];
+    }
+    return messages.find(message => message.id === id) || null;
+}
+
+/**
+ * Minimal MCP client for the streamable HTTP transport
+ *
+ * Only what the downloader needs: initialize a session and call tools.
+ */
+class McpClient {
+    /**
+     * @param {string} [endpoint]
+     * @param {object} [options]
+     * @param {number} [options.timeout=30000] - Per-request timeout in ms
+     */
+    constructor(endpoint = DEFAULT_MCP_ENDPOINT, options = {}) {
+        this.endpoint = endpoint;
+        this.timeout = options.timeout || 30000;
+        this.sessionId = null;
+        this.nextId = 1;
+        this.initialized = null;
+    }
+
+    /**
+     * POST one JSON-RPC message
+     * @returns {Promise<object|null>} The response, or null for notifications
+     */
+    async post(message) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+            'User-Agent': 'deepwiki-downloader'
+        };
+        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+        if (this.initialized) headers['Mcp-Protocol-Version'] = PROTOCOL_VERSION;
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(message),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        if (!response.ok) {
+            throw new McpError(`HTTP ${response.status} from MCP server ${this.endpoint}`, response.status);
+        }
+
+        const sessionId = response.headers.get('mcp-session-id');
+        if (sessionId) this.sessionId = sessionId;
+        if (message.id === undefined) return null;
+
+        const body = await response.text();
+        let reply;
+        try {
+            reply = parseRpcResponse(response.headers.get('content-type') || '', body, message.id);
+        } catch (error) {
+            throw new McpError(`Invalid response from MCP server: ${error.message}`);
+        }
+        if (!reply) throw new McpError(`No response to ${message.method} from MCP server`);
+        if (reply.error) throw new McpError(`MCP ${message.method} failed: ${reply.error.message}`, reply.error.code);
+        return reply.result;
+    }
+
+    /**
+     * Send a request and return its result
+     */
+    request(method, params) {
+        return this.post({ jsonrpc: '2.0', id: this.nextId++, method, params });
+    }
+
+    /**
+     * Open the session (once)
+     */
+    initialize() {
+        if (!this.initialized) {
+            this.initialized = (async () => {
+                await this.request('initialize', {
+                    protocolVersion: PROTOCOL_VERSION,
+                    capabilities: {},
+                    clientInfo: { name: 'deepwiki-downloader', version: '1.0.0' }
+                });
+                await this.post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+            })();
+            this.initialized.catch(() => {
+                this.initialized = null;
+            });
+        }
+        return this.initialized;
+    }
+
+    /**
+     * Call a tool and return its text output
+     * @param {string} name
+     * @param {object} args
+     * @returns {Promise<string>}
+     */
+    async callTool(name, args) {
+        await this.initialize();
+        const result = await this.request('tools/call', { name, arguments: args });
+        const text = (result.content || [])
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+        if (result.isError) throw new McpError(`MCP tool ${name} failed: ${text || 'unknown error'}`);
+        return text;
+    }
+}
+
+/**
+ * Page id DeepWiki derives from a section number and title,
+ * e.g. "11.3", "CI/CD Pipeline" -> "11.3-cicd-pipeline"
+ */
+function pageIdFromTitle(section, title) {
+    const slug = title
+        .toLowerCase()
+        .replace(/[^a-z0-9\s-]/g, '')
+        .trim()
+        .replace(/[\s-]+/g, '-');
+    return `${section}-${slug}`;
+}
+
+/**
+ * Parse the page list returned by `read_wiki_structure`
+ *
+ * Entries look like `- 1.2 System Architecture`, indented by nesting level.
+ *
+ * @param {string} text
+ * @returns {ReturnType<typeof buildPageTree>}
+ */
+function parseWikiStructure(text) {
+    const entries = [];
+    for (const line of text.split('\n')) {
+        const m = line.match(/^(\s*)[-*]\s+(\d+(?:\.\d+)*)\.?\s+(.+?)\s*$/);
+        if (!m) continue;
+        entries.push({ id: pageIdFromTitle(m[2], m[3]), title: m[3], indent: m[1].length });
+    }
+    return buildPageTree(entries);
+}
+
+/**
+ * Split the output of `read_wiki_contents` into pages
+ *
+ * Pages are introduced by `# Page: <title>` lines and separated by `---`.
+ *
+ * @param {string} text
+ * @returns {{title: string, markdown: string}[]}
+ */
+function parseWikiContents(text) {
+    const parts = text.split(/^# Page: (.+)$/m);
+    const documents = [];
+    for (let i = 1; i < parts.length; i += 2) {
+        const markdown = parts[i + 1].replace(/\n-{3,}\s*$/, '').trim();
+        documents.push({ title: parts[i].trim(), markdown });
+    }
+    return documents;
+}
+
+/**
+ * Read a whole wiki through the MCP server
+ *
+ * Contents are assigned to pages by title; pages without contents are left
+ * out of the map so the caller can fetch them another way.
+ *
+ * @param {string} repo - owner/repo
+ * @param {object} [options]
+ * @param {string} [options.mcpEndpoint]
+ * @param {number} [options.timeout]
+ * @returns {Promise<{pages: ReturnType<typeof buildPageTree>, contents: Map<string, string>}>}
+ */
+async function fetchWikiFromMcp(repo, options = {}) {
+    const client = new McpClient(options.mcpEndpoint || DEFAULT_MCP_ENDPOINT, { timeout: options.timeout });
+
+    const pages = parseWikiStructure(await client.callTool('read_wiki_structure', { repoName: repo }));
+    if (pages.length === 0) throw new McpError(`No wiki pages for ${repo} from MCP server`);
+
+    const documents = parseWikiContents(await client.callTool('read_wiki_contents', { repoName: repo }));
+    const byTitle = new Map();
+    for (const doc of documents) {
+        const key = normalizeTitle(doc.title);
+        if (!byTitle.has(key)) byTitle.set(key, doc.markdown);
+    }
+
+    const contents = new Map();
+    for (const page of pages) {
+        const markdown = byTitle.get(normalizeTitle(page.title));
+        if (markdown) contents.set(page.id, markdown);
+    }
+    return { pages, contents };
+}
+
+module.exports = {
+    DEFAULT_MCP_ENDPOINT,
+    McpError,
+    McpClient,
+    pageIdFromTitle,
+    parseWikiStructure,
+    parseWikiContents,
+    fetchWikiFromMcp
+};
@@ -0,0 +1,386 @@
+/**
+ * Mermaid Diagram Handling
+ *
+ * Recovers mermaid sources for rendered diagrams, matches each rendered SVG to
+ * its source block, and sanity-checks the syntax of every extracted diagram.
+ */
+
+const { extractPageMarkdown } = require('./rsc');
+
+// %%MERMAID_PLACEHOLDER%% or %%MERMAID_PLACEHOLDER:<svg id>%%
+const PLACEHOLDER_PATTERN = /%%MERMAID_PLACEHOLDER(?::([\w-]+))?%%/g;
+
+// Minimum label overlap for an SVG and a source block to count as the same diagram
+const MATCH_THRESHOLD = 0.5;
+
+const DIAGRAM_TYPES = [
+    'graph', 'flowchart', 'sequenceDiagram', 'classDiagram', 'classDiagram-v2',
+    'stateDiagram', 'stateDiagram-v2', 'erDiagram', 'journey', 'gantt', 'pie',
+    'quadrantChart', 'requirementDiagram', 'gitGraph', 'C4Context', 'C4Container',
+    'C4Component', 'C4Dynamic', 'C4Deployment', 'mindmap', 'timeline', 'zenuml',
+    'sankey-beta', 'xychart-beta', 'block-beta', 'packet-beta', 'architecture-beta',
+    'kanban', 'radar-beta'
+];
+
+const FLOWCHART_DIRECTIONS = ['TB', 'TD', 'BT', 'RL', 'LR'];
+
+// Diagram types where brackets only appear as node shapes and blocks
+const BRACKETED_TYPES = ['graph', 'flowchart', 'classDiagram', 'classDiagram-v2', 'stateDiagram', 'stateDiagram-v2'];
+
+// Sequence diagram blocks closed by `end`
+const SEQUENCE_BLOCKS = /^(loop|alt|opt|par|critical|break|rect|box)\b/;
+
+/**
+ * Find the mermaid code blocks in markdown, in document order
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+function extractMermaidBlocks(markdown) {
+    const blocks = [];
+    const pattern = /^([ \t]*)(`{3,}|~{3,})mermaid[ \t]*\n([\s\S]*?)\n[ \t]*\2[ \t]*$/gm;
+    let m;
+    while ((m = pattern.exec(markdown)) !== null) {
+        const indent = m[1];
+        const code = indent
+            ? m[3].split('\n').map(line => (line.startsWith(indent) ? line.slice(indent.length) : line)).join('\n')
+            : m[3];
+        blocks.push(code.trim());
+    }
+    return blocks;
+}
+
+/**
+ * Extract the mermaid sources of one page from its raw (JS-disabled) HTML
+ *
+ * Reads the page's own markdown out of the RSC payload, so diagrams of other
+ * pages embedded in the same payload are never picked up.
+ *
+ * @param {string} rawHTML - The raw HTML with JS disabled
+ * @param {{id: string, title: string}} pageInfo
+ * @returns {string[]|null} Sources in page order, or null if the page markdown can't be found
+ */
+function extractMermaidFromHTML(rawHTML, pageInfo) {
+    const markdown = extractPageMarkdown(rawHTML, pageInfo);
+    return markdown === null ? null : extractMermaidBlocks(markdown);
+}
+
+/**
+ * Normalize label text for fuzzy comparison
+ */
+function normalizeLabel(text) {
+    return text
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * How well a rendered diagram's labels are explained by a source block
+ * @param {string[]} labels - Text labels rendered in the SVG
+ * @param {string} source - Mermaid source
+ * @returns {number} 0..1; 0.5 when the SVG has no labels to compare
+ */
+function similarity(labels, source) {
+    const wanted = [...new Set(labels.map(normalizeLabel).filter(Boolean))];
+    if (wanted.length === 0) return MATCH_THRESHOLD;
+
+    const haystack = ` ${normalizeLabel(source)} `;
+    const found = wanted.filter(label => haystack.includes(` ${label} `)).length;
+    return found / wanted.length;
+}
+
+/**
+ * Match rendered SVGs to source blocks
+ *
+ * Both lists are in page order, so the match is an order-preserving alignment
+ * that maximizes total label similarity. SVGs or sources left without a
+ * partner are returned rather than dropped.
+ *
+ * @param {{id: string, labels: string[]}[]} svgs - Rendered diagrams in DOM order
+ * @param {string[]} sources - Mermaid sources in markdown order
+ * @returns {{pairs: {svg: string, source: number, score: number}[], unmatchedSvgs: string[], unmatchedSources: number[]}}
+ */
+function matchDiagrams(svgs, sources) {
+    const scores = svgs.map(svg => sources.map(source => similarity(svg.labels, source)));
+
+    // best[i][j] = best total score aligning svgs[i..] with sources[j..]
+    const best = Array.from({ length: svgs.length + 1 }, () => new Array(sources.length + 1).fill(0));
+    for (let i = svgs.length - 1; i >= 0; i--) {
+        for (let j = sources.length - 1; j >= 0; j--) {
+            const pair = scores[i][j] >= MATCH_THRESHOLD ? scores[i][j] + best[i + 1][j + 1] : -1;
+            best[i][j] = Math.max(pair, best[i + 1][j], best[i][j + 1]);
+        }
+    }
+
+    const pairs = [];
+    const unmatchedSvgs = [];
+    const unmatchedSources = [];
+    let i = 0;
+    let j = 0;
+    while (i < svgs.length && j < sources.length) {
+        const score = scores[i][j];
+        if (score >= MATCH_THRESHOLD && score + best[i + 1][j + 1] === best[i][j]) {
+            pairs.push({ svg: svgs[i].id, source: j, score: Math.round(score * 100) / 100 });
+            i++;
+            j++;
+        } else if (best[i + 1][j] === best[i][j]) {
+            unmatchedSvgs.push(svgs[i++].id);
+        } else {
+            unmatchedSources.push(j++);
+        }
+    }
+    while (i < svgs.length) unmatchedSvgs.push(svgs[i++].id);
+    while (j < sources.length) unmatchedSources.push(j++);
+
+    return { pairs, unmatchedSvgs, unmatchedSources };
+}
+
+/**
+ * Heuristic check that a diagram looks like valid mermaid
+ *
+ * This is a structural sanity check, not the mermaid grammar: it recognizes the
+ * diagram type and looks for unbalanced brackets, quotes and blocks. Runs that
+ * use a browser replace it with mermaid's own parser (see addParseResults).
+ *
+ * @param {string} source
+ * @returns {{type: string|null, valid: boolean, errors: string[]}}
+ */
+function validateMermaid(source) {
+    const errors = [];
+    const lines = source
+        .replace(/^---\n[\s\S]*?\n---\n/, '')     // front matter (title, config)
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('%%'));
+
+    if (lines.length === 0) {
+        return { type: null, valid: false, errors: ['Diagram is empty'] };
+    }
+
+    const [keyword, direction] = lines[0].split(/\s+/);
+    const type = DIAGRAM_TYPES.find(t => t === keyword) || null;
+    if (!type) {
+        errors.push(`Unknown diagram type "${keyword}"`);
+    } else if ((type === 'graph' || type === 'flowchart') && direction && !FLOWCHART_DIRECTIONS.includes(direction.replace(/;$/, ''))) {
+        errors.push(`Invalid flowchart direction "${direction}"`);
+    }
+    if (lines.length < 2 && type !== 'pie') {
+        errors.push('Diagram has no content');
+    }
+
+    // Brackets and quotes, ignoring anything inside quoted labels
+    const body = lines.slice(1).join('\n');
+    const unquoted = body.replace(/"[^"]*"/g, '""');
+    if ((body.match(/"/g) || []).length % 2 !== 0) {
+        errors.push('Unterminated quoted string');
+    }
+    const pairs = { '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+    const shapes = BRACKETED_TYPES.includes(type)
+        ? unquoted
+            .replace(/<?[-=.]+[->ox]|\|[^|\n]*\|/g, '')   // arrows and edge labels
+            .replace(/(\w)>([^\]\n]*)\]/g, '$1$2')       // asymmetric node shape: id>text]
+        : '';
+    for (const ch of shapes) {
+        if (pairs[ch]) {
+            stack.push(ch);
+        } else if (Object.values(pairs).includes(ch)) {
+            if (pairs[stack.pop()] !== ch) {
+                errors.push(`Unbalanced "${ch}"`);
+                break;
+            }
+        }
+    }
+    if (stack.length > 0 && !errors.some(e => e.startsWith('Unbalanced'))) {
+        errors.push(`Unclosed "${stack[stack.length - 1]}"`);
+    }
+
+    // Blocks closed by `end`
+    const opener = type === 'sequenceDiagram' ? SEQUENCE_BLOCKS : /^subgraph\b/;
+    if (type === 'sequenceDiagram' || type === 'graph' || type === 'flowchart') {
+        let depth = 0;
+        for (const line of lines.slice(1)) {
+            if (opener.test(line)) depth++;
+            else if (/^end\b/.test(line)) depth--;
+            if (depth < 0) break;
+        }
+        if (depth !== 0) errors.push(depth > 0 ? 'Block missing "end"' : 'Unexpected "end"');
+    }
+
+    return { type, valid: errors.length === 0, errors };
+}
+
+/**
+ * Fence a mermaid source
+ */
+function fence(source) {
+    return `\n\`\`\`mermaid\n${source}\n\`\`\`\n`;
+}
+
+/**
+ * Replace rendered-diagram placeholders with their matched mermaid sources
+ *
+ * Placeholders whose SVG has no source become an HTML comment, and sources
+ * that no SVG claimed are appended under "Unplaced Diagrams", so nothing is
+ * silently lost.
+ *
+ * @param {string} markdown - Markdown containing %%MERMAID_PLACEHOLDER%% markers
+ * @param {{id: string, labels: string[]}[]} svgs - Rendered diagrams in DOM order
+ * @param {string[]|null} sources - Mermaid sources, null if they couldn't be recovered
+ * @returns {{markdown: string, match: ReturnType<typeof matchDiagrams>}}
+ */
+function fillDiagrams(markdown, svgs, sources) {
+    const match = matchDiagrams(svgs, sources || []);
+    const sourceBySvg = new Map(match.pairs.map(pair => [pair.svg, sources[pair.source]]));
+
+    // Placeholders without an svg id (e.g. leaked mermaid CSS) take unclaimed svgs in order
+    const claimed = new Set();
+    let nextSvg = 0;
+    const nextUnclaimed = () => {
+        while (nextSvg < svgs.length && claimed.has(svgs[nextSvg].id)) nextSvg++;
+        return nextSvg < svgs.length ? svgs[nextSvg++].id : null;
+    };
+
+    let filled = markdown.replace(PLACEHOLDER_PATTERN, (placeholder, svgId) => {
+        const id = svgId && !claimed.has(svgId) ? svgId : nextUnclaimed();
+        if (!id) return '';
+        claimed.add(id);
+        const source = sourceBySvg.get(id);
+        return source ? fence(source) : `\n<!-- mermaid diagram ${id}: source not found -->\n`;
+    });
+
+    if (match.unmatchedSources.length > 0) {
+        filled += '\n\n## Unplaced Diagrams\n\n' +
+            '*These diagrams are in the page source but could not be matched to a rendered diagram.*\n' +
+            match.unmatchedSources.map(index => fence(sources[index])).join('');
+    }
+
+    return { markdown: filled, match };
+}
+
+/**
+ * Remove mermaid CSS that leaked into converted markdown
+ * @param {string} markdown
+ * @returns {string}
+ */
+function removeMermaidCss(markdown) {
+    return markdown
+        .replace(/```\n#mermaid-[\s\S]*?```\n/g, '')
+        .replace(/\n#mermaid-[^\n]+\n/g, '\n');
+}
+
+/**
+ * Warnings for the diagrams that failed their check
+ */
+function diagramWarnings(diagrams) {
+    return diagrams.filter(diagram => !diagram.valid).map(diagram => `diagram ${diagram.index + 1}: ${diagram.errors.join('; ')}`);
+}
+
+/**
+ * Build the report entry for one page
+ * @param {string} pageId
+ * @param {string[]} sources - Diagram sources written to the page
+ * @param {ReturnType<typeof matchDiagrams>|null} match - null when there were no rendered SVGs to match
+ * @param {number|null} svgCount
+ * @returns {object} Entry whose `diagrams` hold the heuristic check of validateMermaid (`check: 'heuristic'`)
+ */
+function pageReport(pageId, sources, match, svgCount) {
+    const warnings = [];
+    if (svgCount !== null && svgCount !== sources.length) {
+        warnings.push(`${svgCount} rendered diagrams but ${sources.length} mermaid sources`);
+    }
+    if (match && match.unmatchedSvgs.length > 0) {
+        warnings.push(`${match.unmatchedSvgs.length} rendered diagrams without a source`);
+    }
+    if (match && match.unmatchedSources.length > 0) {
+        warnings.push(`${match.unmatchedSources.length} sources without a rendered diagram (kept under "Unplaced Diagrams")`);
+    }
+
+    const diagrams = sources.map((source, index) => ({ index, check: 'heuristic', ...validateMermaid(source) }));
+    warnings.push(...diagramWarnings(diagrams));
+
+    return {
+        id: pageId,
+        sourceCount: sources.length,
+        svgCount,
+        matched: match ? match.pairs : null,
+        unmatchedSvgs: match ? match.unmatchedSvgs : [],
+        unmatchedSources: match ? match.unmatchedSources : [],
+        diagrams,
+        warnings
+    };
+}
+
+/**
+ * Replace the heuristic diagram checks of a report with the results of mermaid's parser
+ * @param {ReturnType<typeof pageReport>} report
+ * @param {(string|null)[]} errors - Parse error per source, null for sources that parse
+ * @returns {ReturnType<typeof pageReport>} New report with `check: 'mermaid'` diagrams
+ */
+function addParseResults(report, errors) {
+    const heuristic = diagramWarnings(report.diagrams);
+    const diagrams = report.diagrams.map(diagram => {
+        const error = errors[diagram.index];
+        return { ...diagram, check: 'mermaid', valid: !error, errors: error ? [error] : [] };
+    });
+    return {
+        ...report,
+        diagrams,
+        warnings: report.warnings.filter(warning => !heuristic.includes(warning)).concat(diagramWarnings(diagrams))
+    };
+}
+
+/**
+ * Add the outcome of rendering a page's diagrams to image files
+ * @param {ReturnType<typeof pageReport>} report
+ * @param {{index: number, files: string[], error: string|null}[]} images - By fence order in the page file
+ * @returns {ReturnType<typeof pageReport>} New report with `images` and a warning per failed render
+ */
+function addRenderResults(report, images) {
+    const failed = images.filter(image => image.error);
+    return {
+        ...report,
+        images,
+        warnings: report.warnings.concat(failed.map(image => `diagram ${image.index + 1}: render failed: ${image.error}`))
+    };
+}
+
+/**
+ * Build the full mermaid report for a run
+ * @param {string} repo
+ * @param {ReturnType<typeof pageReport>[]} pages
+ */
+function buildReport(repo, pages) {
+    const sum = fn => pages.reduce((total, page) => total + fn(page), 0);
+    return {
+        repo,
+        generatedAt: new Date().toISOString(),
+        summary: {
+            pages: pages.length,
+            diagrams: sum(page => page.sourceCount),
+            matched: sum(page => (page.matched ? page.matched.length : 0)),
+            unmatchedSvgs: sum(page => page.unmatchedSvgs.length),
+            unmatchedSources: sum(page => page.unmatchedSources.length),
+            invalid: sum(page => page.diagrams.filter(d => !d.valid).length),
+            rendered: sum(page => (page.images || []).filter(image => image.files.length > 0).length),
+            renderFailed: sum(page => (page.images || []).filter(image => image.error).length),
+            pagesWithWarnings: pages.filter(page => page.warnings.length > 0).length
+        },
+        pages
+    };
+}
+
+module.exports = {
+    PLACEHOLDER_PATTERN,
+    extractMermaidBlocks,
+    extractMermaidFromHTML,
+    matchDiagrams,
+    validateMermaid,
+    fillDiagrams,
+    removeMermaidCss,
+    pageReport,
+    addParseResults,
+    addRenderResults,
+    buildReport
+};
@@ -0,0 +1,181 @@
+/**
+ * Output Files
+ *
+ * Shapes the markdown written for each page and the index.md table of contents.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fixInternalLinks, resolveFragments, collectAnchors } = require('./links');
+
+const FRONT_MATTER_PATTERN = /^---\n[\s\S]*?\n---\n(?:\n)?/;
+
+/**
+ * Render YAML front matter
+ *
+ * Strings are written as double-quoted scalars (JSON string syntax is valid
+ * YAML), so titles with colons and section numbers like "1.10" survive.
+ *
+ * @param {object} fields - Values are strings, numbers or null
+ * @returns {string}
+ */
+function formatFrontMatter(fields) {
+    const lines = Object.entries(fields).map(([key, value]) =>
+        `${key}: ${value === null || value === undefined ? 'null' : typeof value === 'string' ? JSON.stringify(value) : value}`);
+    return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+/**
+ * Remove leading YAML front matter, if any
+ * @param {string} markdown
+ * @returns {string}
+ */
+function stripFrontMatter(markdown) {
+    return markdown.replace(FRONT_MATTER_PATTERN, '');
+}
+
+/**
+ * Front matter fields of a page
+ * @param {object} pageInfo - Entry of the page hierarchy
+ * @param {object} meta
+ * @param {string} meta.url - DeepWiki URL of the page
+ * @param {string} meta.fetchedAt - ISO time the content was fetched
+ * @param {number} meta.diagrams - Number of mermaid diagrams
+ * @returns {object}
+ */
+function pageFrontMatter(pageInfo, { url, fetchedAt, diagrams }) {
+    return {
+        id: pageInfo.id,
+        title: pageInfo.title,
+        section: pageInfo.section || null,
+        parent: pageInfo.parentId || null,
+        order: pageInfo.order || null,
+        source: url,
+        fetched_at: fetchedAt,
+        diagrams
+    };
+}
+
+/**
+ * Turn extracted page markdown into the file content that gets written
+ *
+ * Adds a title when the page has none, makes wiki links relative, and appends
+ * the source reference. With `frontMatter` the page starts with YAML front
+ * matter describing it (see pageFrontMatter).
+ *
+ * @param {string} markdown - Extracted page markdown
+ * @param {{id: string, title: string}} pageInfo
+ * @param {object} context
+ * @param {string} context.repo - owner/repo
+ * @param {string} context.url - DeepWiki URL of the page
+ * @param {{fetchedAt: string, diagrams: number}} [context.frontMatter]
+ * @param {object} [context.links] - Mirrors, citation commit and checkout (see fixInternalLinks)
+ * @returns {string}
+ */
+function finalizePage(markdown, pageInfo, { repo, url, frontMatter, links }) {
+    // Add title if not present
+    if (!/^# /m.test(markdown)) {
+        markdown = `# ${pageInfo.title}\n\n${markdown}`;
+    }
+
+    // Fix internal links
+    markdown = fixInternalLinks(markdown, repo, links);
+
+    // Add source reference
+    markdown = `${markdown}\n\n---\n*Source: [DeepWiki](${url})*\n`;
+
+    return frontMatter ? formatFrontMatter(pageFrontMatter(pageInfo, { url, ...frontMatter })) + markdown : markdown;
+}
+
+/**
+ * Read the page files of the pages that have one, in page order, without front matter
+ * @param {string} outDir
+ * @param {object[]} pages - Page hierarchy
+ * @returns {Promise<{page: object, markdown: string}[]>}
+ */
+async function loadDocuments(outDir, pages) {
+    const documents = [];
+    for (const page of pages) {
+        try {
+            const markdown = await fs.readFile(path.join(outDir, `${page.id}.md`), 'utf-8');
+            documents.push({ page, markdown: stripFrontMatter(markdown) });
+        } catch {
+            // Not downloaded (yet)
+        }
+    }
+    return documents;
+}
+
+/**
+ * Point the #fragments of links between page files at actual heading anchors
+ *
+ * Runs over every page file after a run, since a link's target page may have
+ * been written after the page linking to it.
+ *
+ * @param {string} outDir
+ * @param {{id: string}[]} pages - Pages with a file
+ * @returns {Promise<string[]>} Ids of the rewritten pages
+ */
+async function fixPageAnchors(outDir, pages) {
+    const markdownById = new Map();
+    for (const page of pages) {
+        try {
+            markdownById.set(page.id, await fs.readFile(path.join(outDir, `${page.id}.md`), 'utf-8'));
+        } catch {
+            // Not downloaded (yet)
+        }
+    }
+
+    const anchorsById = collectAnchors(markdownById);
+    const rewritten = [];
+    for (const [id, markdown] of markdownById) {
+        const fixed = resolveFragments(markdown, id, anchorsById);
+        if (fixed !== markdown) {
+            await fs.writeFile(path.join(outDir, `${id}.md`), fixed, 'utf-8');
+            rewritten.push(id);
+        }
+    }
+    return rewritten;
+}
+
+/**
+ * Create index.md with table of contents
+ * @param {string} repo - owner/repo
+ * @param {object[]} pages - Page hierarchy from discoverPages, in sidebar order
+ * @param {object} [options]
+ * @param {boolean} [options.frontMatter=false] - Start with a front matter title
+ */
+function createIndex(repo, pages, options = {}) {
+    let md = options.frontMatter ? formatFrontMatter({ id: 'index', title: repo }) : '';
+    md += `# ${repo} Documentation
+
+> Exported from [DeepWiki](https://deepwiki.com/${repo})
+
+## Table of Contents
+
+`;
+
+    for (const page of pages) {
+        const indent = '  '.repeat(page.depth);
+        md += `${indent}- [${page.title}](./${page.id}.md)\n`;
+    }
+
+    md += `
+---
+
+*This documentation was automatically exported from DeepWiki.*
+*Source: https://deepwiki.com/${repo}*
+`;
+
+    return md;
+}
+
+module.exports = {
+    formatFrontMatter,
+    stripFrontMatter,
+    pageFrontMatter,
+    finalizePage,
+    loadDocuments,
+    fixPageAnchors,
+    createIndex
+};
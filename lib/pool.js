@@ -0,0 +1,85 @@
+/**
+ * Concurrency and Retry Helpers
+ */
+
+/**
+ * Run a worker over items with at most `concurrency` in flight at once
+ *
+ * Workers pick up items in order. A worker that throws does not stop the
+ * pool; handle errors inside the worker if they should be recorded.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {Promise<PromiseSettledResult<R>[]>} Results in item order
+ */
+async function runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const lane = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    const lanes = Math.max(1, Math.min(concurrency || 1, items.length));
+    await Promise.all(Array.from({ length: lanes }, lane));
+    return results;
+}
+
+/**
+ * Whether an error is worth retrying: timeouts, network failures, server
+ * errors, rate limiting, and pages that came back (nearly) empty
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (!error) return false;
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+    const message = error.message || '';
+    return /timeout|timed out|Content too short or empty|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|net::ERR_|HTTP (429|5\d\d)\b/i.test(message);
+}
+
+/**
+ * Call fn, retrying retryable failures with exponential backoff
+ *
+ * Delays are baseDelay, 2×baseDelay, 4×baseDelay, … plus up to 25% jitter.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn - Receives the 1-based attempt number
+ * @param {object} [options]
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelay=1000] - First backoff delay in ms
+ * @param {(error: Error) => boolean} [options.shouldRetry=isRetryableError]
+ * @param {(error: Error, attempt: number, delay: number) => void} [options.onRetry]
+ * @returns {Promise<T>}
+ */
+async function withRetry(fn, options = {}) {
+    const retries = options.retries === undefined ? 2 : options.retries;
+    const baseDelay = options.baseDelay === undefined ? 1000 : options.baseDelay;
+    const shouldRetry = options.shouldRetry || isRetryableError;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt > retries || !shouldRetry(error)) throw error;
+            const delay = Math.round(baseDelay * 2 ** (attempt - 1) * (1 + Math.random() * 0.25));
+            if (options.onRetry) options.onRetry(error, attempt, delay);
+            await new Promise(r => setTimeout(r, delay));
+        }
+    }
+}
+
+module.exports = {
+    runPool,
+    isRetryableError,
+    withRetry
+};
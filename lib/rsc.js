@@ -0,0 +1,175 @@
+/**
+ * React Server Components Payload Parsing
+ *
+ * DeepWiki is a Next.js app. Its JS-disabled HTML carries the RSC "flight"
+ * payload in `self.__next_f.push([1, "..."])` scripts, and that payload holds
+ * the original markdown of the wiki pages. Reading it gives byte-exact page
+ * source over plain HTTP, without rendering anything.
+ */
+
+const FLIGHT_CHUNK_PATTERN = /self\.__next_f\.push\(\[1,\s*("(?:[^"\\]|\\.)*")\]\)/g;
+
+/**
+ * Fetch the server-rendered HTML of a page over plain HTTP
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout=30000] - Request timeout in ms
+ * @returns {Promise<string>}
+ */
+async function fetchRawHTML(url, options = {}) {
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; deepwiki-downloader)',
+            'Accept': 'text/html'
+        },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(options.timeout || 30000)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return response.text();
+}
+
+/**
+ * Join all flight payload chunks embedded in an HTML document
+ * @param {string} html - Raw HTML with JS disabled
+ * @returns {string} Decoded payload, empty if the page has none
+ */
+function decodeFlightData(html) {
+    const chunks = [];
+    let m;
+    FLIGHT_CHUNK_PATTERN.lastIndex = 0;
+    while ((m = FLIGHT_CHUNK_PATTERN.exec(html)) !== null) {
+        try {
+            chunks.push(JSON.parse(m[1]));
+        } catch {
+            // A chunk we can't decode can't contain anything we can use either
+        }
+    }
+    return chunks.join('');
+}
+
+/**
+ * Split a flight payload into rows
+ *
+ * Each row is `<hex id>:<value>\n`, except text rows (`<hex id>:T<hex byte length>,<text>`)
+ * which carry raw text of the given UTF-8 length, newlines included.
+ *
+ * @param {string} payload - Decoded flight payload
+ * @returns {{id: string, text: boolean, value: string}[]}
+ */
+function parseRows(payload) {
+    const buf = Buffer.from(payload, 'utf8');
+    const rows = [];
+    let pos = 0;
+
+    while (pos < buf.length) {
+        const colon = buf.indexOf(0x3a, pos); // ':'
+        if (colon === -1) break;
+        const id = buf.toString('utf8', pos, colon);
+
+        if (!/^[0-9a-f]*$/i.test(id)) {
+            // Not at a row boundary (a chunk we couldn't decode); skip to the next line
+            const newline = buf.indexOf(0x0a, pos);
+            if (newline === -1) break;
+            pos = newline + 1;
+            continue;
+        }
+
+        if (buf[colon + 1] === 0x54) { // 'T'
+            const comma = buf.indexOf(0x2c, colon); // ','
+            const length = parseInt(buf.toString('utf8', colon + 2, comma), 16);
+            if (comma !== -1 && !Number.isNaN(length)) {
+                rows.push({ id, text: true, value: buf.toString('utf8', comma + 1, comma + 1 + length) });
+                pos = comma + 1 + length;
+                continue;
+            }
+        }
+
+        let newline = buf.indexOf(0x0a, colon);
+        if (newline === -1) newline = buf.length;
+        rows.push({ id, text: false, value: buf.toString('utf8', colon + 1, newline) });
+        pos = newline + 1;
+    }
+
+    return rows;
+}
+
+/**
+ * Find every markdown document in the payload
+ *
+ * Large markdown goes into text rows; smaller documents may be inlined as
+ * JSON string values in regular rows. Anything with an H1 heading counts.
+ *
+ * @param {string} html - Raw HTML with JS disabled
+ * @returns {string[]}
+ */
+function extractMarkdownDocuments(html) {
+    const documents = [];
+
+    for (const row of parseRows(decodeFlightData(html))) {
+        if (row.text) {
+            documents.push(row.value);
+            continue;
+        }
+        const stringPattern = /"((?:[^"\\]|\\.){100,})"/g;
+        let m;
+        while ((m = stringPattern.exec(row.value)) !== null) {
+            if (!m[1].includes('# ')) continue;
+            try {
+                documents.push(JSON.parse(`"${m[1]}"`));
+            } catch {
+                // Not a JSON string after all
+            }
+        }
+    }
+
+    return documents.filter(doc => doc.length >= 100 && /^# \S/m.test(doc));
+}
+
+/**
+ * Normalize a title for comparison
+ */
+function normalizeTitle(title) {
+    return title
+        .replace(/^\d+(?:\.\d+)*\.?\s+/, '')
+        .replace(/[^a-z0-9]+/gi, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Pull one page's source markdown out of its server-rendered HTML
+ *
+ * The payload can hold several pages' markdown, so the document whose H1
+ * matches the page title wins. When no title matches, a lone document is
+ * taken as the page; otherwise the page can't be identified safely.
+ *
+ * @param {string} html - Raw HTML with JS disabled
+ * @param {{id: string, title: string}} pageInfo
+ * @returns {string|null} Markdown, or null when the payload can't be parsed
+ */
+function extractPageMarkdown(html, pageInfo) {
+    const documents = extractMarkdownDocuments(html);
+    if (documents.length === 0) return null;
+
+    const wanted = normalizeTitle(pageInfo.title);
+    const matches = documents.filter(doc => normalizeTitle(doc.match(/^# (.+)$/m)[1]) === wanted);
+    if (matches.length > 0) {
+        // Repeated copies are the same page; prefer the longest (least truncated)
+        return matches.reduce((a, b) => (b.length > a.length ? b : a)).trim();
+    }
+
+    const unique = [...new Set(documents)];
+    return unique.length === 1 ? unique[0].trim() : null;
+}
+
+module.exports = {
+    fetchRawHTML,
+    decodeFlightData,
+    parseRows,
+    extractMarkdownDocuments,
+    normalizeTitle,
+    extractPageMarkdown
+};
@@ -0,0 +1,247 @@
+/**
+ * Static Site Generator Configs
+ *
+ * Builds the navigation of MkDocs, Docusaurus and VitePress sites from the
+ * same page hierarchy as index.md, so a downloaded wiki publishes as a docs
+ * site without editing navigation by hand.
+ *
+ * Layout, with `siteDir` defaulting to the parent of the output directory:
+ *
+ *   <siteDir>/mkdocs.yml            MkDocs config, docs_dir = output directory
+ *   <siteDir>/sidebars.js           Docusaurus sidebar
+ *   <outDir>/_category_.json        Docusaurus category, when outDir is a docs subfolder
+ *   <outDir>/.vitepress/sidebar.mjs VitePress sidebar (outDir is the VitePress root)
+ *   <outDir>/.vitepress/config.mjs  Written once if there is no VitePress config yet
+ *
+ * Files outside the output directory are only overwritten when an earlier run
+ * generated them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SITE_GENERATORS = ['mkdocs', 'docusaurus', 'vitepress'];
+const GENERATED_MARKER = 'Generated by deepwiki-downloader';
+
+/**
+ * Nest the flat page hierarchy by parent id
+ *
+ * Pages whose parent is not in the list (filtered out or never downloaded)
+ * move up to the top level.
+ *
+ * @param {object[]} pages - Page hierarchy, in order
+ * @returns {{page: object, children: object[]}[]}
+ */
+function nestPages(pages) {
+    const nodes = new Map(pages.map(page => [page.id, { page, children: [] }]));
+    const roots = [];
+    for (const page of pages) {
+        const parent = page.parentId && nodes.get(page.parentId);
+        (parent ? parent.children : roots).push(nodes.get(page.id));
+    }
+    return roots;
+}
+
+/**
+ * Path with forward slashes, as site configs expect
+ */
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+/**
+ * mkdocs.yml with the wiki as docs_dir and its hierarchy as nav
+ *
+ * MkDocs sections can't be pages themselves, so a page with children becomes
+ * a section that lists the page first.
+ *
+ * @param {string} repo - owner/repo
+ * @param {object[]} pages - Page hierarchy, in order
+ * @param {string} docsDir - Output directory relative to mkdocs.yml
+ * @returns {string}
+ */
+function mkdocsConfig(repo, pages, docsDir) {
+    const lines = [];
+    const addNodes = (nodes, indent) => {
+        for (const { page, children } of nodes) {
+            if (children.length === 0) {
+                lines.push(`${indent}- ${JSON.stringify(page.title)}: ${page.id}.md`);
+                continue;
+            }
+            lines.push(`${indent}- ${JSON.stringify(page.title)}:`);
+            lines.push(`${indent}    - ${JSON.stringify(page.title)}: ${page.id}.md`);
+            addNodes(children, `${indent}    `);
+        }
+    };
+    addNodes(nestPages(pages), '  ');
+
+    return `# ${GENERATED_MARKER} from https://deepwiki.com/${repo}; rewritten on every run.
+site_name: ${JSON.stringify(repo)}
+docs_dir: ${JSON.stringify(docsDir)}
+exclude_docs: |
+  export/
+nav:
+  - Home: index.md
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Docusaurus sidebars.js with one sidebar, `wiki`
+ *
+ * Doc ids come from the `id` front matter, so the number prefixes of page ids
+ * are not stripped the way Docusaurus does for file names.
+ *
+ * @param {string} repo - owner/repo
+ * @param {object[]} pages - Page hierarchy, in order
+ * @param {string} [idPrefix=''] - Folder of the wiki inside the docs directory
+ * @returns {string}
+ */
+function docusaurusSidebars(repo, pages, idPrefix = '') {
+    const docId = id => (idPrefix ? `${idPrefix}/${id}` : id);
+    const toItems = nodes => nodes.map(({ page, children }) => (children.length === 0 ? docId(page.id) : {
+        type: 'category',
+        label: page.title,
+        link: { type: 'doc', id: docId(page.id) },
+        items: toItems(children)
+    }));
+    const sidebars = { wiki: [docId('index'), ...toItems(nestPages(pages))] };
+
+    return `// ${GENERATED_MARKER} from https://deepwiki.com/${repo}; rewritten on every run.
+module.exports = ${JSON.stringify(sidebars, null, 4)};
+`;
+}
+
+/**
+ * Docusaurus _category_.json for the wiki folder, linking to its index page
+ *
+ * JSON has no comments, so the generated marker goes into `customProps`,
+ * which Docusaurus passes through untouched.
+ *
+ * @param {string} repo - owner/repo
+ * @param {string} [idPrefix='']
+ * @returns {string}
+ */
+function docusaurusCategory(repo, idPrefix = '') {
+    const category = {
+        label: repo,
+        link: { type: 'doc', id: idPrefix ? `${idPrefix}/index` : 'index' },
+        customProps: { generated: `${GENERATED_MARKER} from https://deepwiki.com/${repo}; rewritten on every run.` }
+    };
+    return `${JSON.stringify(category, null, 2)}\n`;
+}
+
+/**
+ * VitePress sidebar module; pages with children are expandable groups that link to the page
+ * @param {string} repo - owner/repo
+ * @param {object[]} pages - Page hierarchy, in order
+ * @returns {string}
+ */
+function vitepressSidebar(repo, pages) {
+    const toItems = nodes => nodes.map(({ page, children }) => ({
+        text: page.title,
+        link: `/${page.id}`,
+        ...(children.length > 0 ? { collapsed: false, items: toItems(children) } : {})
+    }));
+    const sidebar = [{ text: repo, link: '/', items: toItems(nestPages(pages)) }];
+
+    return `// ${GENERATED_MARKER} from https://deepwiki.com/${repo}; rewritten on every run.
+export default ${JSON.stringify(sidebar, null, 4)};
+`;
+}
+
+/**
+ * Starter VitePress config using the generated sidebar
+ * @param {string} repo - owner/repo
+ * @returns {string}
+ */
+function vitepressConfig(repo) {
+    return `// Written once by deepwiki-downloader; edit freely, later runs only update sidebar.mjs.
+import sidebar from './sidebar.mjs';
+
+export default {
+    title: ${JSON.stringify(repo)},
+    srcExclude: ['export/**'],
+    themeConfig: {
+        sidebar,
+        outline: 'deep'
+    }
+};
+`;
+}
+
+/**
+ * Write a generated file unless a file not generated by us is in the way
+ * @returns {Promise<boolean>} Whether the file was written
+ */
+async function writeGenerated(file, content) {
+    try {
+        const existing = await fs.readFile(file, 'utf-8');
+        if (!existing.includes(GENERATED_MARKER)) return false;
+    } catch {
+        // Not there yet
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content, 'utf-8');
+    return true;
+}
+
+/**
+ * Write the site configs for the requested generators
+ * @param {string} outDir - Output directory with the page files
+ * @param {string} repo - owner/repo
+ * @param {object[]} pages - Page hierarchy, in order
+ * @param {string[]} generators - Any of 'mkdocs', 'docusaurus', 'vitepress'
+ * @param {object} [options]
+ * @param {string} [options.siteDir] - Site root for mkdocs.yml and sidebars.js (default: parent of outDir)
+ * @returns {Promise<{written: string[], skipped: string[]}>} Files relative to outDir
+ */
+async function writeSiteConfigs(outDir, repo, pages, generators, options = {}) {
+    const unknown = generators.filter(generator => !SITE_GENERATORS.includes(generator));
+    if (unknown.length > 0) throw new Error(`Unknown site generator: ${unknown.join(', ')}`);
+    if (generators.length === 0) return { written: [], skipped: [] };
+
+    const siteDir = path.resolve(options.siteDir || path.dirname(outDir));
+    const docsDir = toPosix(path.relative(siteDir, outDir));
+    const written = [];
+    const skipped = [];
+    const write = async (file, content) => {
+        const relative = path.relative(outDir, file);
+        (await writeGenerated(file, content) ? written : skipped).push(relative);
+    };
+
+    if (generators.includes('mkdocs')) {
+        if (!docsDir || docsDir.split('/').every(part => part === '..')) {
+            throw new Error('mkdocs.yml must be outside the output directory; use a site directory above it');
+        }
+        await write(path.join(siteDir, 'mkdocs.yml'), mkdocsConfig(repo, pages, docsDir));
+    }
+
+    if (generators.includes('docusaurus')) {
+        // Docusaurus docs live in <site>/docs; elsewhere the docs plugin path points at the wiki itself
+        const idPrefix = docsDir.startsWith('docs/') ? docsDir.slice('docs/'.length) : '';
+        await write(path.join(siteDir, 'sidebars.js'), docusaurusSidebars(repo, pages, idPrefix));
+        if (idPrefix) await write(path.join(outDir, '_category_.json'), docusaurusCategory(repo, idPrefix));
+    }
+
+    if (generators.includes('vitepress')) {
+        const configDir = path.join(outDir, '.vitepress');
+        await write(path.join(configDir, 'sidebar.mjs'), vitepressSidebar(repo, pages));
+        const names = await fs.readdir(configDir);
+        if (!names.some(name => /^config\.(js|mjs|ts|mts)$/.test(name))) {
+            await fs.writeFile(path.join(configDir, 'config.mjs'), vitepressConfig(repo), 'utf-8');
+            written.push(path.join('.vitepress', 'config.mjs'));
+        }
+    }
+
+    return { written, skipped };
+}
+
+module.exports = {
+    SITE_GENERATORS,
+    mkdocsConfig,
+    docusaurusSidebars,
+    docusaurusCategory,
+    vitepressSidebar,
+    writeSiteConfigs
+};
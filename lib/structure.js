@@ -0,0 +1,348 @@
+/**
+ * Wiki Structure Discovery
+ *
+ * Finds the page hierarchy of a DeepWiki repository (ids, titles, nesting,
+ * order) from its sidebar navigation, either in the rendered page or in the
+ * server-rendered HTML.
+ */
+
+const { decodeFlightData } = require('./rsc');
+const { decodeEntities } = require('./dom');
+
+// DeepWiki page ids start with their section number, e.g. "2.1-artboard-system"
+const SECTION_PATTERN = /^(\d+(?:\.\d+)*)-/;
+
+/**
+ * Get the section number of a page id ("2.1-artboard-system" -> "2.1")
+ * @param {string} id
+ * @returns {string|null}
+ */
+function sectionOf(id) {
+    const match = id.match(SECTION_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract the page id from a sidebar href, if it points into this repo's wiki
+ * @param {string} href - Absolute or root-relative link
+ * @param {string} repo - owner/repo
+ * @returns {string|null}
+ */
+function pageIdFromHref(href, repo) {
+    if (!href) return null;
+
+    let pathname = href;
+    const absolute = href.match(/^https?:\/\/(?:www\.)?deepwiki\.com(\/[^?#]*)/);
+    if (absolute) pathname = absolute[1];
+
+    const prefix = `/${repo}/`;
+    if (!pathname.toLowerCase().startsWith(prefix.toLowerCase())) return null;
+
+    let id = pathname.slice(prefix.length).split(/[?#]/)[0];
+    try {
+        id = decodeURIComponent(id);
+    } catch {
+        // Keep malformed escapes as they are
+    }
+    id = id.replace(/\/$/, '');
+    if (!id || id.includes('/') || !SECTION_PATTERN.test(id)) return null;
+    return id;
+}
+
+/**
+ * Read a horizontal indent (in px or tailwind spacing units) from tag attributes
+ * @param {string} attrs - Raw attribute string of a tag
+ * @returns {number} 0 when no indent is declared
+ */
+function indentFromAttributes(attrs) {
+    const style = attrs.match(/(?:padding|margin)-left:\s*([\d.]+)(px|rem|em)?/);
+    if (style) {
+        const value = parseFloat(style[1]);
+        return style[2] === 'rem' || style[2] === 'em' ? value * 16 : value;
+    }
+    const utility = attrs.match(/\b(?:pl|ml|ps|ms)-(\d+(?:\.\d+)?)\b/);
+    return utility ? parseFloat(utility[1]) * 4 : 0;
+}
+
+/**
+ * Collect sidebar entries from server-rendered (JS-disabled) HTML
+ *
+ * Walks the list and anchor tags in document order, tracking how deeply each
+ * wiki link is nested inside <ul>/<ol> elements and how far it is indented.
+ *
+ * @param {string} html - Raw HTML of any page of the wiki
+ * @param {string} repo - owner/repo
+ * @returns {{id: string, title: string, listDepth: number, indent: number}[]}
+ */
+function parseSidebarFromHTML(html, repo) {
+    const entries = [];
+    const tagPattern = /<(\/?)(ul|ol|li|a)\b([^>]*)>/gi;
+    let listDepth = 0;
+    let itemIndent = 0;
+    let m;
+
+    while ((m = tagPattern.exec(html)) !== null) {
+        const closing = m[1] === '/';
+        const tag = m[2].toLowerCase();
+        const attrs = m[3];
+
+        if (tag === 'ul' || tag === 'ol') {
+            listDepth = Math.max(0, listDepth + (closing ? -1 : 1));
+            continue;
+        }
+        if (tag === 'li') {
+            itemIndent = closing ? 0 : indentFromAttributes(attrs);
+            continue;
+        }
+        if (closing) continue;
+
+        const hrefMatch = attrs.match(/\bhref\s*=\s*"([^"]*)"/i) || attrs.match(/\bhref\s*=\s*'([^']*)'/i);
+        const id = pageIdFromHref(hrefMatch && decodeEntities(hrefMatch[1]), repo);
+        if (!id) continue;
+
+        const end = html.indexOf('</a>', tagPattern.lastIndex);
+        if (end === -1) break;
+        const title = decodeEntities(html.substring(tagPattern.lastIndex, end).replace(/<[^>]*>/g, ''))
+            .replace(/\s+/g, ' ')
+            .trim();
+        tagPattern.lastIndex = end + 4;
+
+        entries.push({
+            id,
+            title,
+            listDepth,
+            indent: indentFromAttributes(attrs) + itemIndent
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Collect sidebar entries from the rendered page in the browser
+ * @param {import('puppeteer').Page} page - Page with a DeepWiki wiki loaded
+ * @param {string} repo - owner/repo
+ * @returns {Promise<{id: string, title: string, listDepth: number, indent: number}[]>}
+ */
+async function parseSidebarFromPage(page, repo) {
+    const links = await page.evaluate(() => {
+        return Array.from(document.querySelectorAll('a[href]'))
+            // Links inside the article body are not part of the navigation
+            .filter(a => !a.closest('.prose'))
+            .map(a => {
+                let listDepth = 0;
+                for (let el = a.parentElement; el; el = el.parentElement) {
+                    const tag = el.tagName.toLowerCase();
+                    if (tag === 'ul' || tag === 'ol') listDepth++;
+                }
+                return {
+                    href: a.getAttribute('href'),
+                    title: a.textContent.replace(/\s+/g, ' ').trim(),
+                    listDepth,
+                    indent: Math.round(a.getBoundingClientRect().left + parseFloat(getComputedStyle(a).paddingLeft || '0'))
+                };
+            });
+    });
+
+    const entries = [];
+    for (const link of links) {
+        const id = pageIdFromHref(link.href, repo);
+        if (id) entries.push({ id, title: link.title, listDepth: link.listDepth, indent: link.indent });
+    }
+    return entries;
+}
+
+/**
+ * Collect sidebar entries from the flight payload of server-rendered HTML
+ *
+ * Used when the sidebar links are not in the HTML markup itself. The payload
+ * element tree carries no usable nesting, so depth falls back to section numbers.
+ *
+ * @param {string} html - Raw HTML with JS disabled
+ * @param {string} repo - owner/repo
+ * @returns {{id: string, title: string}[]}
+ */
+function parseSidebarFromPayload(html, repo) {
+    const entries = [];
+    const linkPattern = /"href":"([^"]+)"[^{}]*?"children":"((?:[^"\\]|\\.)*)"/g;
+    const payload = decodeFlightData(html);
+    let m;
+    while ((m = linkPattern.exec(payload)) !== null) {
+        const id = pageIdFromHref(m[1], repo);
+        if (!id) continue;
+        let title;
+        try {
+            title = JSON.parse(`"${m[2]}"`);
+        } catch {
+            title = m[2];
+        }
+        entries.push({ id, title: title.trim() });
+    }
+    return entries;
+}
+
+/**
+ * Discover the page hierarchy from server-rendered HTML, without a browser
+ * @param {string} html - Raw HTML of any page of the wiki
+ * @param {string} repo - owner/repo
+ * @returns {ReturnType<typeof buildPageTree>} Empty when no sidebar links are found
+ */
+function discoverPagesFromHTML(html, repo) {
+    let entries = parseSidebarFromHTML(html, repo);
+    if (entries.length === 0) entries = parseSidebarFromPayload(html, repo);
+    return buildPageTree(entries);
+}
+
+/**
+ * Turn flat sidebar entries into an ordered page hierarchy
+ *
+ * Nesting comes from list nesting when the sidebar uses nested lists, from
+ * indentation when it is a flat list of indented links, and from the section
+ * numbers in the page ids as a last resort. Each page's parent is the closest
+ * preceding page one level up.
+ *
+ * @param {{id: string, title: string, listDepth?: number, indent?: number}[]} entries
+ * @returns {{id: string, title: string, section: string|null, depth: number, order: number, parentId: string|null}[]}
+ */
+function buildPageTree(entries) {
+    const seen = new Set();
+    const unique = entries.filter(entry => {
+        if (seen.has(entry.id)) return false;
+        seen.add(entry.id);
+        return true;
+    });
+
+    const rawDepths = levelsFrom(unique, 'listDepth') ||
+        levelsFrom(unique, 'indent') ||
+        unique.map(entry => {
+            const section = sectionOf(entry.id);
+            return section ? section.split('.').length - 1 : 0;
+        });
+
+    const pages = [];
+    const ancestors = [];     // ancestors[d] = last page seen at depth d
+    const siblingCounts = new Map();
+
+    unique.forEach((entry, i) => {
+        // A page can only be one level deeper than the page before it
+        const depth = Math.min(rawDepths[i], ancestors.length);
+        const parent = depth > 0 ? ancestors[depth - 1] : null;
+        const parentKey = parent ? parent.id : '';
+        const order = (siblingCounts.get(parentKey) || 0) + 1;
+        siblingCounts.set(parentKey, order);
+
+        const page = {
+            id: entry.id,
+            title: entry.title || entry.id,
+            section: sectionOf(entry.id),
+            depth,
+            order,
+            parentId: parent ? parent.id : null
+        };
+        pages.push(page);
+        ancestors.length = depth;
+        ancestors.push(page);
+    });
+
+    return pages;
+}
+
+/**
+ * Rank the distinct values of a numeric field into 0-based nesting levels
+ * @returns {number[]|null} null when the field does not vary
+ */
+function levelsFrom(entries, field) {
+    const values = [...new Set(entries.map(entry => entry[field] || 0))].sort((a, b) => a - b);
+    if (values.length < 2) return null;
+    return entries.map(entry => values.indexOf(entry[field] || 0));
+}
+
+/**
+ * Test a page against a --pages / --exclude pattern
+ *
+ * Section patterns select by number: "2" is section 2 only, "2.*" is section 2
+ * and everything below it. Any other pattern is a glob ("*", "?") on the page id.
+ *
+ * @param {{id: string, section: string|null}} page
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesPattern(page, pattern) {
+    const section = pattern.match(/^(\d+(?:\.\d+)*)(\.\*)?$/);
+    if (section) {
+        if (!page.section) return false;
+        return page.section === section[1] || Boolean(section[2] && page.section.startsWith(`${section[1]}.`));
+    }
+
+    const source = pattern
+        .split('')
+        .map(ch => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+        .join('');
+    return new RegExp(`^${source}$`, 'i').test(page.id);
+}
+
+/**
+ * Filter the page hierarchy by include and exclude patterns
+ * @param {object[]} pages
+ * @param {string[]} [include=[]] - Keep only matching pages (all when empty)
+ * @param {string[]} [exclude=[]] - Then drop matching pages
+ * @returns {object[]}
+ */
+function selectPages(pages, include = [], exclude = []) {
+    return pages.filter(page =>
+        (include.length === 0 || include.some(pattern => matchesPattern(page, pattern))) &&
+        !exclude.some(pattern => matchesPattern(page, pattern))
+    );
+}
+
+/**
+ * Discover the page hierarchy of a wiki
+ *
+ * Reads the sidebar of the rendered wiki root page, falling back to the
+ * server-rendered HTML of the same page when the rendered sidebar has no links.
+ *
+ * @param {import('puppeteer').Browser} browser
+ * @param {string} repo - owner/repo
+ * @param {object} [options]
+ * @param {number} [options.timeout=30000] - Navigation timeout in ms
+ * @param {{width: number, height: number}} [options.viewport]
+ * @returns {Promise<ReturnType<typeof buildPageTree>>}
+ */
+async function discoverPages(browser, repo, options = {}) {
+    const timeout = options.timeout || 30000;
+    const url = `https://deepwiki.com/${repo}`;
+
+    const page = await browser.newPage();
+    let entries;
+    try {
+        await page.setViewport(options.viewport || { width: 1280, height: 800 });
+        await page.goto(url, { waitUntil: 'networkidle2', timeout });
+        entries = await parseSidebarFromPage(page, repo);
+
+        if (entries.length === 0) {
+            await page.setJavaScriptEnabled(false);
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+            entries = parseSidebarFromHTML(await page.content(), repo);
+        }
+    } finally {
+        await page.close();
+    }
+
+    if (entries.length === 0) {
+        throw new Error(`No wiki pages found at ${url}`);
+    }
+    return buildPageTree(entries);
+}
+
+module.exports = {
+    sectionOf,
+    pageIdFromHref,
+    parseSidebarFromHTML,
+    parseSidebarFromPage,
+    parseSidebarFromPayload,
+    buildPageTree,
+    matchesPattern,
+    selectPages,
+    discoverPages,
+    discoverPagesFromHTML
+};
@@ -0,0 +1,206 @@
+/**
+ * Mirror Verification
+ *
+ * Scans a finished output directory for leftovers of failed extraction
+ * (mermaid placeholders, leaked mermaid CSS, empty code fences, pages holding
+ * only navigation text) and for broken structure (relative links to missing
+ * files, index entries without a file, page files missing from the index),
+ * so CI can refuse to commit a damaged mirror.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { BY_SOURCE_FILE } = require('./citations');
+const { CHANGELOG_FILE } = require('./diff');
+const { headingAnchors, inlineText } = require('./markdown-to-html');
+
+// Generated files that are not wiki pages and need no index entry
+const NON_PAGE_FILES = ['index.md', BY_SOURCE_FILE, CHANGELOG_FILE];
+
+// Pages with less running text than this, and no code, diagrams or tables, hold only navigation
+const MIN_PROSE = 100;
+const MIN_SENTENCE_WORDS = 6;
+
+const FRONT_MATTER_PATTERN = /^---\n[\s\S]*?\n---\n/;
+const FENCE_OPEN_PATTERN = /^[ \t]*(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^ {0,3}#{1,6}(\s|$)/;
+const LINK_PATTERN = /(!?)\[([^\]\n]*)\]\(\s*<?([^)\s>]*)>?[^)\n]*\)/g;
+const SOURCE_LINE_PATTERN = /^\*Source: \[DeepWiki\]\([^)]*\)\*$/;
+// Anchors set in HTML, such as the <a id> the converter keeps for headings
+const HTML_ID_PATTERN = /<[a-z][\w-]*\s[^>]*?\bid\s*=\s*["']([^"']+)["']/gi;
+const MERMAID_CSS_PATTERN = /^\s*#mermaid-|#mermaid-[\w-]+\s*\{|font-family:\s*ui-sans-serif/;
+
+/**
+ * Relative link target, without fragment and query
+ * @returns {{target: string, fragment: string|null}|null} null for external links; target '' for #fragments of the file itself
+ */
+function relativeTarget(href) {
+    if (!href || href === '#' || href.startsWith('/') || /^[a-z][\w+.-]*:/i.test(href)) return null;
+    const [rest, fragment = null] = href.split('#');
+    let target = rest.split('?')[0];
+    try {
+        target = decodeURIComponent(target);
+    } catch {
+        // Keep malformed escapes as they are
+    }
+    return { target, fragment };
+}
+
+/**
+ * Check one markdown file
+ * @param {string} markdown - File content
+ * @param {object} [options]
+ * @param {boolean} [options.page=true] - Apply the checks for wiki pages (navigation-only content)
+ * @returns {{issues: object[], links: {line: number, href: string, target: string, fragment: string|null}[]}}
+ *   Issues found in the file itself, and its relative links for checking against the directory
+ */
+function checkMarkdown(markdown, options = {}) {
+    const issues = [];
+    const links = [];
+    const issue = (line, severity, rule, message) => issues.push({ line, severity, rule, message });
+
+    const frontMatter = markdown.match(FRONT_MATTER_PATTERN);
+    const skip = frontMatter ? frontMatter[0].split('\n').length - 1 : 0;
+    const lines = markdown.split('\n');
+
+    let fence = null;       // { marker, line, body: [] } of the open fence
+    let prose = 0;
+    let content = false;    // code, diagram or table
+
+    for (let i = skip; i < lines.length; i++) {
+        const line = lines[i];
+        const number = i + 1;
+
+        if (line.includes('%%MERMAID_PLACEHOLDER')) {
+            issue(number, 'error', 'placeholder', 'Mermaid placeholder was never replaced by a diagram');
+        }
+        if (MERMAID_CSS_PATTERN.test(line)) {
+            issue(number, 'error', 'mermaid-css', 'Mermaid CSS leaked into the page');
+        }
+
+        const marker = line.match(FENCE_OPEN_PATTERN);
+        if (fence) {
+            if (marker && marker[1][0] === fence.marker[0] && marker[1].length >= fence.marker.length && line.trim() === marker[1]) {
+                if (fence.body.every(bodyLine => !bodyLine.trim())) {
+                    issue(fence.line, 'error', 'empty-fence', 'Code block is empty');
+                } else {
+                    content = true;
+                }
+                fence = null;
+            } else {
+                fence.body.push(line);
+            }
+            continue;
+        }
+        if (marker) {
+            fence = { marker: marker[1], line: number, body: [] };
+            continue;
+        }
+
+        let m;
+        LINK_PATTERN.lastIndex = 0;
+        while ((m = LINK_PATTERN.exec(line)) !== null) {
+            const relative = relativeTarget(m[3]);
+            if (relative) links.push({ line: number, href: m[3], ...relative });
+        }
+
+        if (/^\s*\|/.test(line)) {
+            content = true;
+        } else if (!HEADING_PATTERN.test(line) && !SOURCE_LINE_PATTERN.test(line.trim())) {
+            // Running text: sentences, not link lists, labels or menu entries
+            const text = inlineText(line).replace(/^[\s>*+-]*(\d+\.\s+)?/, '').trim();
+            if (text.split(/\s+/).length >= MIN_SENTENCE_WORDS) prose += text.length;
+        }
+    }
+
+    if (fence) {
+        issue(fence.line, 'error', 'unclosed-fence', 'Code block is never closed');
+    }
+    if (options.page !== false && !content && prose < MIN_PROSE) {
+        // Short pages and pages of link lists are legitimate too, so this is only a hint
+        issue(skip + 1, 'warning', 'navigation-only', 'Page has no running text, code, diagram or table; it may hold only navigation text');
+    }
+
+    return { issues, links };
+}
+
+/**
+ * Verify an output directory
+ *
+ * Checks every markdown file in the directory (not in subfolders such as
+ * export/): the content checks of checkMarkdown, relative links pointing at
+ * missing files or missing anchors, and that index.md and the page files
+ * list the same pages. Broken #fragments and navigation-only pages are
+ * warnings, everything else errors.
+ *
+ * @param {object} options
+ * @param {string} options.outDir - Output directory of a download or conversion
+ * @returns {Promise<{outDir: string, files: object[], errors: number, warnings: number}>}
+ *   One entry per markdown file, with its issues sorted by line
+ */
+async function verifyWiki(options) {
+    const { outDir } = options;
+    let names;
+    try {
+        names = (await fs.readdir(outDir)).filter(name => name.endsWith('.md')).sort();
+    } catch {
+        throw new Error(`Can't read ${outDir}`);
+    }
+
+    const contents = new Map();
+    for (const name of names) contents.set(name, await fs.readFile(path.join(outDir, name), 'utf-8'));
+
+    const anchorCache = new Map();
+    const anchorsOf = async file => {
+        if (!anchorCache.has(file)) {
+            const markdown = (contents.get(path.relative(outDir, file)) || await fs.readFile(file, 'utf-8').catch(() => '')).replace(FRONT_MATTER_PATTERN, '');
+            const ids = Array.from(markdown.matchAll(HTML_ID_PATTERN), m => m[1]);
+            anchorCache.set(file, [...headingAnchors(markdown), ...ids]);
+        }
+        return anchorCache.get(file);
+    };
+    const exists = async file => fs.access(file).then(() => true, () => false);
+
+    const files = [];
+    const indexed = new Set();
+    for (const name of names) {
+        const isIndex = name === 'index.md';
+        const { issues, links } = checkMarkdown(contents.get(name), { page: !NON_PAGE_FILES.includes(name) });
+
+        for (const link of links) {
+            const file = link.target ? path.resolve(outDir, link.target) : path.join(outDir, name);
+            if (isIndex && path.dirname(file) === path.resolve(outDir) && file.endsWith('.md')) {
+                indexed.add(path.basename(file));
+                if (!(await exists(file))) {
+                    issues.push({ line: link.line, severity: 'error', rule: 'missing-page', message: `Index lists ${link.target}, which does not exist` });
+                }
+                continue;
+            }
+            if (!(await exists(file))) {
+                issues.push({ line: link.line, severity: 'error', rule: 'broken-link', message: `Link to ${link.href}: file does not exist` });
+            } else if (link.fragment && file.endsWith('.md') && !(await anchorsOf(file)).includes(link.fragment)) {
+                issues.push({ line: link.line, severity: 'warning', rule: 'broken-anchor', message: `Link to ${link.href}: no heading or element with that anchor` });
+            }
+        }
+
+        files.push({ file: name, issues });
+    }
+
+    if (!names.includes('index.md')) {
+        files.push({ file: 'index.md', issues: [{ line: null, severity: 'error', rule: 'missing-index', message: 'There is no index.md' }] });
+    } else {
+        for (const entry of files) {
+            if (NON_PAGE_FILES.includes(entry.file) || indexed.has(entry.file)) continue;
+            entry.issues.push({ line: null, severity: 'error', rule: 'not-in-index', message: 'Page file is not listed in index.md' });
+        }
+    }
+
+    for (const entry of files) entry.issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+    const count = severity => files.reduce((sum, entry) => sum + entry.issues.filter(issue => issue.severity === severity).length, 0);
+    return { outDir, files, errors: count('error'), warnings: count('warning') };
+}
+
+module.exports = {
+    checkMarkdown,
+    verifyWiki
+};
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chunkMarkdown, buildChunks } = require('../lib/chunks');
+
+test('chunks follow headings and carry their heading path', () => {
+    const chunks = chunkMarkdown('# Title\n\nIntro.\n\n## Usage\n\nRun it.\n\n### Flags\n\nNone.\n\n---\n*Source: [DeepWiki](https://deepwiki.com/acme/widget/1-overview)*\n');
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.headings, chunk.anchor, chunk.section, chunk.text]), [
+        [['Title'], 'title', 0, '# Title\n\nIntro.'],
+        [['Title', 'Usage'], 'usage', 0, '## Usage\n\nRun it.'],
+        [['Title', 'Usage', 'Flags'], 'flags', 0, '### Flags\n\nNone.']
+    ]);
+});
+
+test('a fenced block is never split, even when it is too long', () => {
+    const fence = `\`\`\`js\n${'x();\n'.repeat(40)}\`\`\``;
+    const chunks = chunkMarkdown(`## Code\n\nBefore.\n\n${fence}\n\nAfter.`, { chunkSize: 50 });
+    assert.ok(chunks.some(chunk => chunk.text === fence));
+    assert.ok(chunks.every(chunk => (chunk.text.match(/```/g) || []).length % 2 === 0));
+});
+
+test('long lists are split between items, long lines between sentences', () => {
+    const list = Array.from({ length: 8 }, (_, i) => `- item number ${i}`).join('\n');
+    const pieces = chunkMarkdown(list, { chunkSize: 40 }).map(chunk => chunk.text);
+    assert.ok(pieces.length > 1);
+    assert.strictEqual(pieces.join('\n'), list);
+
+    const line = 'First sentence here. Second sentence here. Third sentence here.';
+    assert.deepStrictEqual(chunkMarkdown(line, { chunkSize: 45 }).map(chunk => chunk.text), [
+        'First sentence here. Second sentence here.',
+        'Third sentence here.'
+    ]);
+});
+
+test('every piece of a split table repeats its header', () => {
+    const header = '| A | B |\n|---|---|';
+    const rows = Array.from({ length: 6 }, (_, i) => `| row${i} | xxxxxxxxxx |`);
+    const chunks = chunkMarkdown(`## Usage\n\n${header}\n${rows.join('\n')}`, { chunkSize: 80 });
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.section, chunk.text]), [
+        [0, `## Usage\n\n${header}\n${rows[0]}\n${rows[1]}`],
+        [1, `${header}\n${rows[2]}\n${rows[3]}`],
+        [2, `${header}\n${rows[4]}\n${rows[5]}`]
+    ]);
+});
+
+test('chunk ids stay stable when the text of other sections changes', () => {
+    const page = { id: '1-overview', title: 'Overview' };
+    const before = buildChunks('acme/widget', [{ page, markdown: 'Intro.\n\n## Usage\n\nRun it.' }]);
+    const after = buildChunks('acme/widget', [{ page, markdown: 'New intro.\n\n## Usage\n\nRun it.' }]);
+
+    assert.deepStrictEqual(before.map(record => record.id), ['acme/widget/1-overview#top:0', 'acme/widget/1-overview#usage:0']);
+    assert.deepStrictEqual(after.map(record => record.id), before.map(record => record.id));
+    assert.notStrictEqual(after[0].hash, before[0].hash);
+    assert.strictEqual(after[1].hash, before[1].hash);
+    assert.deepStrictEqual([before[1].chunk, before[1].chunks, before[1].url], [1, 2, 'https://deepwiki.com/acme/widget/1-overview']);
+});
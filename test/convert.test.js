@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { convertWiki } = require('../lib/convert');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'convert');
+
+test('convert turns saved HTML into page files and a manifest', async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepwiki-convert-'));
+    try {
+        const results = [];
+        const summary = await convertWiki({ inputDir: FIXTURES, outDir, onPage: result => results.push(result) });
+
+        assert.strictEqual(summary.repo, 'acme/widget');
+        assert.deepStrictEqual(summary.counts, { added: 2, updated: 0, unchanged: 0, removed: 0, failed: 0 });
+        assert.deepStrictEqual(summary.failures, []);
+        assert.deepStrictEqual(results.map(result => [result.id, result.status, result.source]), [
+            ['1-overview', 'added', 'html'],
+            ['2-core', 'added', 'html']
+        ]);
+
+        const manifest = JSON.parse(await fs.readFile(path.join(outDir, 'manifest.json'), 'utf-8'));
+        assert.strictEqual(manifest.repo, 'acme/widget');
+        assert.deepStrictEqual(Object.keys(manifest.pages), ['1-overview', '2-core']);
+        assert.strictEqual(manifest.pages['2-core'].file, '2-core.md');
+        assert.strictEqual(manifest.pages['2-core'].source, 'offline-html');
+
+        const overview = await fs.readFile(path.join(outDir, '1-overview.md'), 'utf-8');
+        assert.match(overview, /^# Overview\n/);
+        assert.match(overview, /\[the core module\]\(\.\/2-core\.md\)/);
+        // Rendered diagram without a recoverable source
+        assert.match(overview, /<!-- mermaid diagram mermaid-1: source not found -->/);
+        assert.doesNotMatch(overview, /MERMAID_PLACEHOLDER/);
+
+        const core = await fs.readFile(path.join(outDir, '2-core.md'), 'utf-8');
+        assert.match(core, /```js\nrender\(scene\);\n```/);
+
+        const index = await fs.readFile(path.join(outDir, 'index.md'), 'utf-8');
+        assert.match(index, /\[Overview\]\(\.\/1-overview\.md\)/);
+    } finally {
+        await fs.rm(outDir, { recursive: true, force: true });
+    }
+});
+
+test('a second convert of the same HTML leaves the pages unchanged', async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepwiki-convert-'));
+    try {
+        await convertWiki({ inputDir: FIXTURES, outDir });
+        const summary = await convertWiki({ inputDir: FIXTURES, outDir });
+        assert.deepStrictEqual(summary.counts, { added: 0, updated: 0, unchanged: 2, removed: 0, failed: 0 });
+    } finally {
+        await fs.rm(outDir, { recursive: true, force: true });
+    }
+});
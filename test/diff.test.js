@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffLines, unifiedDiff, splitSections, comparePage } = require('../lib/diff');
+
+test('diffLines finds the shortest edit script', () => {
+    const ops = diffLines(['a', 'b', 'c'], ['a', 'c', 'd']);
+    assert.deepStrictEqual(ops.map(op => `${op.type}${op.line}`), [' a', '-b', ' c', '+d']);
+});
+
+test('unifiedDiff writes separate hunks for distant changes', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+    assert.strictEqual(unifiedDiff(before, after, { from: 'old/x.md', to: 'new/x.md', context: 1 }), [
+        '--- old/x.md',
+        '+++ new/x.md',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        '@@ -10,1 +10,2 @@',
+        ' j',
+        '+k',
+        ''
+    ].join('\n'));
+    assert.strictEqual(unifiedDiff(before, before), '');
+});
+
+test('unifiedDiff starts an empty range at the line before it', () => {
+    assert.strictEqual(unifiedDiff('', 'a\n'), '--- a\n+++ b\n@@ -0,0 +1,1 @@\n+a\n');
+    assert.strictEqual(unifiedDiff('a\n', ''), '--- a\n+++ b\n@@ -1,1 +0,0 @@\n-a\n');
+});
+
+test('splitSections ignores headings in code and numbers repeated ones', () => {
+    const sections = splitSections('Intro\n\n## Usage\n\n```sh\n# not a heading\n```\n\n## Usage\n\nAgain');
+    assert.deepStrictEqual(sections.map(section => section.key), ['', '## Usage', '## Usage (2)']);
+    assert.strictEqual(sections[1].body, '```sh\n# not a heading\n```');
+});
+
+test('comparePage reports heading, diagram and line changes', () => {
+    const diagram = target => `\`\`\`mermaid\ngraph TD\nA-->${target}\n\`\`\``;
+    const before = `# T\n\nIntro\n\n## A\n\nx\n\n${diagram('B')}\n\n## B\n\ny\n`;
+    const after = `# T\n\nIntro\n\n## A\n\nx\n\n${diagram('C')}\n\n## C\n\nz\n\n${diagram('D')}\n`;
+    assert.deepStrictEqual(comparePage(before, after), {
+        headings: { added: ['## C'], removed: ['## B'], changed: ['## A'] },
+        diagrams: [{ section: 'A', change: 'changed' }, { section: 'C', change: 'added' }],
+        lines: { added: 8, removed: 3 }
+    });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { EXPORT_DIR, writeExports } = require('../lib/export');
+
+/**
+ * Browser stand-in that records the document it is asked to print
+ */
+function stubBrowser(printed) {
+    return {
+        newPage: async () => ({
+            goto: async url => {
+                const file = fileURLToPath(url);
+                printed.file = file;
+                printed.html = await fs.readFile(file, 'utf-8');
+            },
+            addScriptTag: async () => {},
+            evaluate: async () => {},
+            pdf: async ({ path: file }) => fs.writeFile(file, '%PDF-1.4\n'),
+            close: async () => {}
+        })
+    };
+}
+
+test('PDF export resolves localized images against the output directory', async () => {
+    const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepwiki-export-'));
+    try {
+        await fs.mkdir(path.join(outDir, 'assets'));
+        await fs.writeFile(path.join(outDir, 'assets', 'logo.png'), 'png');
+        await fs.writeFile(path.join(outDir, '1-overview.md'), '# Overview\n\n![Logo](./assets/logo.png)\n');
+
+        const printed = {};
+        const pages = [{ id: '1-overview', title: 'Overview', depth: 0 }];
+        const written = await writeExports(outDir, 'a/b', pages, ['pdf'], { getBrowser: async () => stubBrowser(printed) });
+
+        assert.deepStrictEqual(written, [path.join(EXPORT_DIR, 'a-b.pdf')]);
+        const src = printed.html.match(/<img[^>]*src="([^"]+)"/)[1];
+        await fs.access(path.resolve(path.dirname(printed.file), src));
+        await assert.rejects(fs.access(printed.file), 'the print document is removed afterwards');
+    } finally {
+        await fs.rm(outDir, { recursive: true, force: true });
+    }
+});
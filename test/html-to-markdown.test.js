@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { htmlToMarkdown } = require('../lib/html-to-markdown');
+
+// Each <name>.html holds saved DeepWiki content, <name>.md the expected markdown
+const FIXTURES = path.join(__dirname, 'fixtures', 'html-to-markdown');
+
+for (const name of fs.readdirSync(FIXTURES).filter(file => file.endsWith('.html')).sort()) {
+    test(`converts ${name}`, () => {
+        const html = fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+        const expected = fs.readFileSync(path.join(FIXTURES, name.replace(/\.html$/, '.md')), 'utf-8');
+        assert.strictEqual(htmlToMarkdown(html), expected.trimEnd());
+    });
+}
+
+test('converts the whole document when there is no .prose container', () => {
+    assert.strictEqual(htmlToMarkdown('<h2>Title</h2><p>Text</p>'), '## Title\n\nText');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixInternalLinks, resolveFragments, collectAnchors, parseCitationLabel } = require('../lib/links');
+
+const REPO = 'acme/widget';
+
+test('links between pages of the wiki become relative links', () => {
+    assert.strictEqual(
+        fixInternalLinks('See [Core](/acme/widget/2-core#setup) and [home](https://deepwiki.com/acme/widget).', REPO),
+        'See [Core](./2-core.md#setup) and [home](./index.md).'
+    );
+});
+
+test('links to other wikis point at their mirrors, else at deepwiki.com', () => {
+    const mirrors = new Map([['acme/gadget', '../gadget']]);
+    assert.strictEqual(
+        fixInternalLinks('[G](/Acme/Gadget/1-intro) [O](/other/repo/2-api) [X](https://example.com/a)', REPO, { mirrors }),
+        '[G](../gadget/1-intro.md) [O](https://deepwiki.com/other/repo/2-api) [X](https://example.com/a)'
+    );
+});
+
+test('citations become GitHub permalinks or links into a checkout', () => {
+    const markdown = 'Sources: [src/app.cpp:10-20]() [lib/\\_\\_init\\_\\_.py](https://github.com/acme/widget/blob/abc1234/lib/__init__.py#L3)';
+    assert.strictEqual(fixInternalLinks(markdown, REPO),
+        'Sources: [src/app.cpp:10-20](https://github.com/acme/widget/blob/abc1234/src/app.cpp#L10-L20) ' +
+        '[lib/\\_\\_init\\_\\_.py](https://github.com/acme/widget/blob/abc1234/lib/__init__.py#L3)');
+    assert.strictEqual(fixInternalLinks('[src/app.cpp:5]()', REPO, { checkout: '../../widget' }),
+        '[src/app.cpp:5](../../widget/src/app.cpp#L5)');
+    assert.strictEqual(fixInternalLinks('[src/app.cpp]()', REPO, { commit: 'v1.0' }),
+        '[src/app.cpp](https://github.com/acme/widget/blob/v1.0/src/app.cpp)');
+});
+
+test('malformed escapes in cited GitHub paths are kept as they are', () => {
+    assert.strictEqual(
+        fixInternalLinks('[data/100%.txt](https://github.com/acme/widget/blob/main/data/100%.txt)', REPO),
+        '[data/100%.txt](https://github.com/acme/widget/blob/main/data/100%.txt)'
+    );
+});
+
+test('code blocks and ordinary links are left alone', () => {
+    const markdown = '```\n[Core](/acme/widget/2-core)\n```\n[notes](notes.txt) ![img](/acme/widget/2-core)';
+    assert.strictEqual(fixInternalLinks(markdown, REPO), markdown);
+});
+
+test('parseCitationLabel reads the file and line range', () => {
+    assert.deepStrictEqual(parseCitationLabel('`src/app.cpp:10-20`'), { file: 'src/app.cpp', start: 10, end: 20 });
+    assert.deepStrictEqual(parseCitationLabel('Makefile.am:7'), { file: 'Makefile.am', start: 7, end: 7 });
+    assert.strictEqual(parseCitationLabel('the core module'), null);
+});
+
+test('fragments are matched to heading anchors ignoring case and punctuation', () => {
+    const anchors = collectAnchors(new Map([
+        ['1-overview', '# Overview\n\n## Getting Started'],
+        ['2-core', '# Core\n\n## The Render Loop']
+    ]));
+    assert.strictEqual(
+        resolveFragments('[a](#Getting-Started) [b](./2-core.md#the_render_loop) [c](./2-core.md#missing)', '1-overview', anchors),
+        '[a](#getting-started) [b](./2-core.md#the-render-loop) [c](./2-core.md#missing)'
+    );
+});
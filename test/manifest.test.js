@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    loadManifest,
+    saveManifest,
+    beginRun,
+    completeRun,
+    isUnchanged,
+    findRemovedPages,
+    findMirrors
+} = require('../lib/manifest');
+
+async function withTempDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepwiki-manifest-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('a saved manifest loads back, one of another repo loads empty', () => withTempDir(async dir => {
+    const manifest = await loadManifest(dir, 'acme/widget');
+    assert.deepStrictEqual(manifest.pages, {});
+    manifest.pages['1-overview'] = { id: '1-overview', file: '1-overview.md', hash: 'abc' };
+    await saveManifest(dir, manifest);
+
+    assert.deepStrictEqual(await loadManifest(dir, 'acme/widget'), manifest);
+    assert.deepStrictEqual((await loadManifest(dir, 'acme/other')).pages, {});
+}));
+
+test('beginRun resumes an interrupted run and starts afresh after a finished one', () => {
+    const manifest = { run: { startedAt: '2026-01-01T00:00:00.000Z', completedAt: null }, pages: {} };
+    assert.strictEqual(beginRun(manifest), '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(manifest.run.startedAt, '2026-01-01T00:00:00.000Z');
+
+    completeRun(manifest);
+    assert.ok(manifest.run.completedAt);
+    assert.strictEqual(beginRun(manifest), null);
+    assert.notStrictEqual(manifest.run.startedAt, '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(manifest.run.completedAt, null);
+});
+
+test('isUnchanged compares hashes when upstream has one', () => {
+    const entry = { hash: 'abc', fetchedAt: '2026-01-01T00:00:00.000Z' };
+    assert.strictEqual(isUnchanged(entry, { hash: 'abc', resumedFrom: null, fileExists: true }), true);
+    assert.strictEqual(isUnchanged(entry, { hash: 'def', resumedFrom: null, fileExists: true }), false);
+    assert.strictEqual(isUnchanged(entry, { hash: 'abc', resumedFrom: null, fileExists: false }), false);
+    assert.strictEqual(isUnchanged(undefined, { hash: 'abc', resumedFrom: null, fileExists: true }), false);
+});
+
+test('isUnchanged without a hash only skips pages of the run being resumed', () => {
+    const entry = { hash: 'abc', fetchedAt: '2026-01-02T00:00:00.000Z' };
+    assert.strictEqual(isUnchanged(entry, { hash: null, resumedFrom: null, fileExists: true }), false);
+    assert.strictEqual(isUnchanged(entry, { hash: null, resumedFrom: '2026-01-01T00:00:00.000Z', fileExists: true }), true);
+    assert.strictEqual(isUnchanged(entry, { hash: null, resumedFrom: '2026-01-03T00:00:00.000Z', fileExists: true }), false);
+});
+
+test('findRemovedPages lists the entries no longer in the wiki', () => {
+    const manifest = { pages: { a: { id: 'a' }, b: { id: 'b' } } };
+    assert.deepStrictEqual(findRemovedPages(manifest, [{ id: 'a' }, { id: 'c' }]), [{ id: 'b' }]);
+});
+
+test('findMirrors finds sibling mirrors of other repos', () => withTempDir(async dir => {
+    const write = async (name, repo) => {
+        await fs.mkdir(path.join(dir, name));
+        await saveManifest(path.join(dir, name), { version: 1, repo, run: null, pages: {} });
+    };
+    await write('widget', 'acme/widget');
+    await write('gadget-docs', 'Acme/Gadget');
+    await write('.diff-tmp', 'acme/hidden');
+    await fs.mkdir(path.join(dir, 'plain'));
+
+    const mirrors = await findMirrors(path.join(dir, 'widget'), 'acme/widget');
+    assert.deepStrictEqual([...mirrors], [['acme/gadget', '../gadget-docs']]);
+}));
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageReport, addParseResults } = require('../lib/mermaid');
+const { createMermaidParser } = require('../lib/diagrams');
+
+/**
+ * Browser whose page runs evaluate() against a stand-in for mermaid
+ */
+function stubBrowser(mermaid) {
+    const page = {
+        closed: false,
+        setDefaultTimeout() {},
+        async setContent() {},
+        async addScriptTag() {},
+        async evaluate(fn, ...args) {
+            global.mermaid = mermaid;
+            try {
+                return await fn(...args);
+            } finally {
+                delete global.mermaid;
+            }
+        },
+        async close() { this.closed = true; }
+    };
+    return { page, browser: { newPage: async () => page } };
+}
+
+test('the report labels the checks done without mermaid as heuristic', () => {
+    const report = pageReport('1-overview', ['graph TD\nA-->B', 'not a diagram'], null, null);
+    assert.deepStrictEqual(report.diagrams.map(diagram => [diagram.check, diagram.valid]), [['heuristic', true], ['heuristic', false]]);
+    assert.strictEqual(report.warnings.length, 1);
+});
+
+test('parse results replace the heuristic check and its warnings', () => {
+    const report = pageReport('1-overview', ['graph TD\nA-->B', 'not a diagram'], null, 3);
+    const checked = addParseResults(report, ['Parse error on line 2', null]);
+    assert.deepStrictEqual(checked.diagrams.map(diagram => [diagram.check, diagram.valid, diagram.errors]), [
+        ['mermaid', false, ['Parse error on line 2']],
+        ['mermaid', true, []]
+    ]);
+    assert.deepStrictEqual(checked.warnings, ['3 rendered diagrams but 2 mermaid sources', 'diagram 1: Parse error on line 2']);
+});
+
+test('the parser checks all sources on one page', async () => {
+    const mermaid = {
+        initialize() {},
+        parse: async source => {
+            if (source.includes('-->?')) throw new Error('Parse error on line 2:\n...A-->?\n---^');
+        }
+    };
+    const { page, browser } = stubBrowser(mermaid);
+    let launches = 0;
+    const parser = createMermaidParser(async () => { launches++; return browser; });
+
+    assert.deepStrictEqual(await parser.parse([]), []);
+    assert.deepStrictEqual(await parser.parse(['graph TD\nA-->B', 'graph TD\nA-->?']), [null, 'Parse error on line 2: ...A-->? ---^']);
+    assert.deepStrictEqual(await parser.parse(['graph TD\nA-->B']), [null]);
+    assert.strictEqual(launches, 1);
+
+    await parser.close();
+    assert.ok(page.closed);
+});
+
+test('the parser gives up when no browser can be launched', async () => {
+    const parser = createMermaidParser(async () => { throw new Error('Could not find Chrome'); });
+    assert.strictEqual(await parser.parse(['graph TD\nA-->B']), null);
+    await parser.close();
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runPool, isRetryableError, withRetry } = require('../lib/pool');
+
+test('runPool keeps results in item order and records failures', async () => {
+    let inFlight = 0;
+    let most = 0;
+    const results = await runPool([30, 10, 20, 0], 2, async (ms, index) => {
+        most = Math.max(most, ++inFlight);
+        await new Promise(r => setTimeout(r, ms));
+        inFlight--;
+        if (index === 3) throw new Error('boom');
+        return ms;
+    });
+    assert.strictEqual(most, 2);
+    assert.deepStrictEqual(results.slice(0, 3), [30, 10, 20].map(value => ({ status: 'fulfilled', value })));
+    assert.strictEqual(results[3].status, 'rejected');
+    assert.strictEqual(results[3].reason.message, 'boom');
+});
+
+test('isRetryableError accepts transient failures only', () => {
+    assert.ok(isRetryableError(new Error('Navigation timeout of 30000 ms exceeded')));
+    assert.ok(isRetryableError(new Error('HTTP 503 Service Unavailable')));
+    assert.ok(isRetryableError(new Error('HTTP 429')));
+    assert.ok(!isRetryableError(new Error('HTTP 404 Not Found')));
+    assert.ok(!isRetryableError(new Error('Unexpected token < in JSON')));
+    assert.ok(!isRetryableError(null));
+});
+
+test('withRetry backs off exponentially with jitter', async () => {
+    const delays = [];
+    const attempts = [];
+    const value = await withRetry(async attempt => {
+        attempts.push(attempt);
+        if (attempt < 3) throw new Error('socket hang up');
+        return 'ok';
+    }, { baseDelay: 4, onRetry: (error, attempt, delay) => delays.push([attempt, delay]) });
+
+    assert.strictEqual(value, 'ok');
+    assert.deepStrictEqual(attempts, [1, 2, 3]);
+    assert.deepStrictEqual(delays.map(([attempt]) => attempt), [1, 2]);
+    // baseDelay, then 2×baseDelay, each plus up to 25%
+    assert.ok(delays[0][1] >= 4 && delays[0][1] <= 5);
+    assert.ok(delays[1][1] >= 8 && delays[1][1] <= 10);
+});
+
+test('withRetry gives up after the last retry and on errors not worth retrying', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw new Error('fetch failed');
+    }, { retries: 1, baseDelay: 0 }), /fetch failed/);
+    assert.strictEqual(calls, 2);
+
+    calls = 0;
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw new Error('HTTP 404');
+    }, { baseDelay: 0 }), /HTTP 404/);
+    assert.strictEqual(calls, 1);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { mkdocsConfig, docusaurusSidebars, vitepressSidebar, writeSiteConfigs } = require('../lib/site-config');
+
+const PAGES = [
+    { id: '1-overview', title: 'Overview', parentId: null },
+    { id: '2-core', title: 'Core', parentId: null },
+    { id: '2.1-scene', title: 'Scene', parentId: '2-core' },
+    // Its parent was filtered out, so it moves up to the top level
+    { id: '3.1-orphan', title: 'Orphan', parentId: '3-api' }
+];
+
+test('mkdocs nav lists a page with children first in its section', () => {
+    const config = mkdocsConfig('acme/widget', PAGES, 'wiki');
+    assert.match(config, /^docs_dir: "wiki"$/m);
+    assert.ok(config.endsWith([
+        'nav:',
+        '  - Home: index.md',
+        '  - "Overview": 1-overview.md',
+        '  - "Core":',
+        '      - "Core": 2-core.md',
+        '      - "Scene": 2.1-scene.md',
+        '  - "Orphan": 3.1-orphan.md',
+        ''
+    ].join('\n')));
+});
+
+test('docusaurus and vitepress sidebars link categories to their pages', () => {
+    const sidebars = docusaurusSidebars('acme/widget', PAGES, 'wiki');
+    const { wiki } = JSON.parse(sidebars.slice(sidebars.indexOf('{'), sidebars.lastIndexOf(';')));
+    assert.deepStrictEqual(wiki, [
+        'wiki/index',
+        'wiki/1-overview',
+        { type: 'category', label: 'Core', link: { type: 'doc', id: 'wiki/2-core' }, items: ['wiki/2.1-scene'] },
+        'wiki/3.1-orphan'
+    ]);
+
+    const module = vitepressSidebar('acme/widget', PAGES);
+    const [root] = JSON.parse(module.slice(module.indexOf('['), module.lastIndexOf(';')));
+    assert.deepStrictEqual(root.items[1], {
+        text: 'Core', link: '/2-core', collapsed: false, items: [{ text: 'Scene', link: '/2.1-scene' }]
+    });
+});
+
+test('writeSiteConfigs writes into the site directory and spares files it did not generate', async () => {
+    const siteDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deepwiki-site-'));
+    try {
+        const outDir = path.join(siteDir, 'docs', 'wiki');
+        await fs.mkdir(outDir, { recursive: true });
+        await fs.writeFile(path.join(siteDir, 'sidebars.js'), 'module.exports = {};\n', 'utf-8');
+
+        const result = await writeSiteConfigs(outDir, 'acme/widget', PAGES, ['mkdocs', 'docusaurus', 'vitepress'], { siteDir });
+        assert.deepStrictEqual(result.written.sort(), [
+            path.join('..', '..', 'mkdocs.yml'),
+            path.join('.vitepress', 'config.mjs'),
+            path.join('.vitepress', 'sidebar.mjs'),
+            '_category_.json'
+        ].sort());
+        assert.deepStrictEqual(result.skipped, [path.join('..', '..', 'sidebars.js')]);
+        assert.match(await fs.readFile(path.join(siteDir, 'mkdocs.yml'), 'utf-8'), /^docs_dir: "docs\/wiki"$/m);
+        assert.strictEqual(await fs.readFile(path.join(siteDir, 'sidebars.js'), 'utf-8'), 'module.exports = {};\n');
+
+        // A VitePress config, once there, is left to the user
+        await fs.writeFile(path.join(outDir, '.vitepress', 'config.mjs'), 'export default {};\n', 'utf-8');
+        const again = await writeSiteConfigs(outDir, 'acme/widget', PAGES, ['vitepress']);
+        assert.deepStrictEqual(again.written, [path.join('.vitepress', 'sidebar.mjs')]);
+    } finally {
+        await fs.rm(siteDir, { recursive: true, force: true });
+    }
+});
+
+test('writeSiteConfigs rejects unknown generators and mkdocs.yml inside the wiki', async () => {
+    await assert.rejects(writeSiteConfigs('/tmp/wiki', 'acme/widget', PAGES, ['hugo']), /Unknown site generator: hugo/);
+    await assert.rejects(writeSiteConfigs('/tmp/wiki', 'acme/widget', PAGES, ['mkdocs'], { siteDir: '/tmp/wiki' }), /outside the output directory/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pageIdFromHref, buildPageTree, discoverPagesFromHTML, selectPages } = require('../lib/structure');
+
+const tree = pages => pages.map(page => [page.id, page.depth, page.order, page.parentId]);
+
+test('pageIdFromHref accepts links into this wiki only', () => {
+    assert.strictEqual(pageIdFromHref('/acme/widget/2.1-core', 'acme/widget'), '2.1-core');
+    assert.strictEqual(pageIdFromHref('https://deepwiki.com/Acme/Widget/3-api/#usage', 'acme/widget'), '3-api');
+    assert.strictEqual(pageIdFromHref('/acme/widget/4-caf%C3%A9', 'acme/widget'), '4-café');
+    assert.strictEqual(pageIdFromHref('/acme/widget/5-100%', 'acme/widget'), '5-100%');
+    assert.strictEqual(pageIdFromHref('/acme/other/1-overview', 'acme/widget'), null);
+    assert.strictEqual(pageIdFromHref('/acme/widget/about', 'acme/widget'), null);
+});
+
+test('buildPageTree nests by section numbers when nothing else varies', () => {
+    const pages = buildPageTree([
+        { id: '1-overview', title: 'Overview' },
+        { id: '2-core' },
+        { id: '2.1-scene' },
+        { id: '2.2-render' },
+        { id: '2.2.1-shaders' },
+        { id: '3-api' },
+        { id: '2-core' }
+    ]);
+    assert.deepStrictEqual(tree(pages), [
+        ['1-overview', 0, 1, null],
+        ['2-core', 0, 2, null],
+        ['2.1-scene', 1, 1, '2-core'],
+        ['2.2-render', 1, 2, '2-core'],
+        ['2.2.1-shaders', 2, 1, '2.2-render'],
+        ['3-api', 0, 3, null]
+    ]);
+    assert.strictEqual(pages[0].title, 'Overview');
+    assert.strictEqual(pages[1].title, '2-core');
+    assert.strictEqual(pages[4].section, '2.2.1');
+});
+
+test('buildPageTree prefers list nesting and indentation over section numbers', () => {
+    assert.deepStrictEqual(tree(buildPageTree([
+        { id: '1-overview', listDepth: 1 },
+        { id: '2-setup', listDepth: 2 },
+        { id: '3-api', listDepth: 1 }
+    ])), [['1-overview', 0, 1, null], ['2-setup', 1, 1, '1-overview'], ['3-api', 0, 2, null]]);
+
+    // A page can't be more than one level below the page before it
+    assert.deepStrictEqual(tree(buildPageTree([
+        { id: '1-overview', indent: 0 },
+        { id: '1.1-deep', indent: 48 },
+        { id: '1.2-mid', indent: 16 }
+    ])), [['1-overview', 0, 1, null], ['1.1-deep', 1, 1, '1-overview'], ['1.2-mid', 1, 2, '1-overview']]);
+});
+
+test('discoverPagesFromHTML reads nested sidebar lists', () => {
+    const html = `<nav><ul>
+        <li><a href="/acme/widget/1-overview">Overview</a></li>
+        <li><a href="/acme/widget/2-core">Core</a>
+            <ul><li><a href="/acme/widget/2.1-scene">Scene &amp; Graph</a></li></ul>
+        </li>
+        <li><a href="https://github.com/acme/widget">GitHub</a></li>
+    </ul></nav>`;
+    const pages = discoverPagesFromHTML(html, 'acme/widget');
+    assert.deepStrictEqual(tree(pages), [
+        ['1-overview', 0, 1, null],
+        ['2-core', 0, 2, null],
+        ['2.1-scene', 1, 1, '2-core']
+    ]);
+    assert.strictEqual(pages[2].title, 'Scene & Graph');
+});
+
+test('selectPages applies section and glob patterns', () => {
+    const pages = buildPageTree(['1-overview', '2-core', '2.1-scene', '2.2-render', '3-api'].map(id => ({ id })));
+    const ids = (include, exclude) => selectPages(pages, include, exclude).map(page => page.id);
+
+    assert.deepStrictEqual(ids(), ['1-overview', '2-core', '2.1-scene', '2.2-render', '3-api']);
+    assert.deepStrictEqual(ids(['2']), ['2-core']);
+    assert.deepStrictEqual(ids(['2.*']), ['2-core', '2.1-scene', '2.2-render']);
+    assert.deepStrictEqual(ids(['2.*'], ['2.2']), ['2-core', '2.1-scene']);
+    assert.deepStrictEqual(ids(['*-API', '1']), ['1-overview', '3-api']);
+    assert.deepStrictEqual(ids([], ['?.?-*']), ['1-overview', '2-core', '3-api']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkMarkdown } = require('../lib/verify');
+
+const PROSE = 'The renderer walks the scene graph once per frame and batches draw calls by material.';
+
+const rules = result => result.issues.map(issue => [issue.line, issue.severity, issue.rule]);
+
+test('a clean page has no issues', () => {
+    const result = checkMarkdown(`# Core\n\n${PROSE}\n\n\`\`\`js\nrender(scene);\n\`\`\`\n`);
+    assert.deepStrictEqual(result, { issues: [], links: [] });
+});
+
+test('leftovers of failed extraction are errors, on the lines they are on', () => {
+    const markdown = [
+        '---',
+        'id: 2-core',
+        '---',
+        '# Core',
+        '',
+        PROSE,
+        '%%MERMAID_PLACEHOLDER_0%%',
+        '#mermaid-1 .node rect { fill: #fff; }',
+        '```js',
+        '',
+        '```',
+        '```',
+        'never closed'
+    ].join('\n');
+    assert.deepStrictEqual(rules(checkMarkdown(markdown)), [
+        [7, 'error', 'placeholder'],
+        [8, 'error', 'mermaid-css'],
+        [9, 'error', 'empty-fence'],
+        [12, 'error', 'unclosed-fence']
+    ]);
+});
+
+test('pages of link lists get a navigation-only warning, unless they are not pages', () => {
+    const markdown = '# Core\n\n- [Scene](./2.1-scene.md)\n- [Render](./2.2-render.md#passes)\n';
+    const result = checkMarkdown(markdown);
+    assert.deepStrictEqual(rules(result), [[1, 'warning', 'navigation-only']]);
+    assert.deepStrictEqual(checkMarkdown(markdown, { page: false }).issues, []);
+
+    // A table counts as content
+    assert.deepStrictEqual(checkMarkdown('# Core\n\n| A | B |\n|---|---|\n| 1 | 2 |\n').issues, []);
+});
+
+test('relative links are collected for the link check, external ones are not', () => {
+    const markdown = `# Core\n\n${PROSE} See [Scene](./2.1-scene.md#nodes), [top](#core), [site](https://example.com) and [abs](/docs).\n\n\`\`\`\n[in code](./missing.md)\n\`\`\``;
+    assert.deepStrictEqual(checkMarkdown(markdown).links, [
+        { line: 3, href: './2.1-scene.md#nodes', target: './2.1-scene.md', fragment: 'nodes' },
+        { line: 3, href: '#core', target: '', fragment: 'core' }
+    ]);
+});